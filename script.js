@@ -7,9 +7,14 @@ const FALLBACK_CONFIG_ID = "enhanced-peertube-multi-instance-v32";
 let pluginConfig = {};
 let _settings = {};
 let state = {
-    serverVersion: '',
-    seenIds: [],
-    unhealthyHosts: {} // { "<host>": expiryTimestampMs }
+    instanceConfigs: {}, // { "<base>": summarized /api/v1/config }, see getInstanceConfig
+    subscriptions: [], // local channel subscriptions [{ host, name, displayName, addedAt }], see subscribeLocalChannel
+    subscriptionsImportKey: '', // fingerprint of the last subscriptionsImport setting merged, so it is applied once
+    seen: new Map(), // uuid -> { shownAt, watchedAt, watchedSeconds, duration }, oldest activity first; see recordSeenImpression
+    hostHealth: {}, // per-instance health records, see recordHostFailure
+    auth: null, // refresh token for the login instance, see ensureAccessToken
+    knownInstances: {}, // "<base>" -> when it was last seen running PeerTube, see rememberPeerTubeInstance
+    discovered: null // cached instance directory results, see getDiscoveredInstances
 };
 
 // ---------------------- Safe logger ----------------------
@@ -75,6 +80,191 @@ function normalizeInstanceUrlCandidate(raw) {
     }
 }
 
+// query string from a params object; array values repeat the key (tagsOneOf=a&tagsOneOf=b)
+function buildQueryString(params) {
+    const parts = [];
+    for (const k of Object.keys(params || {})) {
+        const val = params[k];
+        if (val === undefined || val === null || val === '') continue;
+        const values = Array.isArray(val) ? val : [val];
+        for (const item of values) parts.push(`${encodeURIComponent(k)}=${encodeURIComponent(String(item))}`);
+    }
+    return parts.join('&');
+}
+
+// returns the configured instance base URL serving `url`, or null for foreign hosts
+function getConfiguredInstanceForUrl(url) {
+    try {
+        const host = new URL(url).host.toLowerCase();
+        const list = (_settings.instancesList && _settings.instancesList.length) ? _settings.instancesList : parseSettings(plugin?.settings || {}).instancesList;
+        for (const base of list) {
+            try { if (new URL(base).host.toLowerCase() === host) return base; } catch (e) {}
+        }
+        return null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// ---------------------- PeerTube URL classification ----------------------
+// Every URL shape the PeerTube web client produces, matched against the path without trailing slashes.
+// Video and playlist ids are uuids or shortUUIDs; channel/account handles are name or name@host.
+const PEERTUBE_URL_SHAPES = [
+    { kind: 'video', regex: /^\/(?:videos\/watch|w)\/([A-Za-z0-9_-]+)$/i },
+    { kind: 'video', embed: true, regex: /^\/videos\/embed\/([A-Za-z0-9_-]+)$/i },
+    { kind: 'playlist', regex: /^\/(?:w\/p|videos\/watch\/playlist|video-playlists)\/([A-Za-z0-9_-]+)$/i },
+    { kind: 'playlist', embed: true, regex: /^\/video-playlists\/embed\/([A-Za-z0-9_-]+)$/i },
+    { kind: 'channel', regex: /^\/(?:c|video-channels)\/([^\/]+)(?:\/.*)?$/i },
+    { kind: 'account', regex: /^\/(?:a|accounts)\/([^\/]+)(?:\/.*)?$/i }
+];
+
+// "90", "90s", "1m30s", "1h2m3s" -> seconds; 0 when absent or malformed
+function parseStartTime(value) {
+    const raw = String(value || '').trim().toLowerCase();
+    if (!raw) return 0;
+    if (/^\d+(\.\d+)?$/.test(raw)) return Math.floor(parseFloat(raw));
+    const m = raw.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+    if (!m) return 0;
+    return (parseInt(m[1] || 0, 10) * 3600) + (parseInt(m[2] || 0, 10) * 60) + parseInt(m[3] || 0, 10);
+}
+
+// { kind, base, id | handle, embed, start, position } for anything shaped like a PeerTube URL, or null.
+// Says nothing about whether the host runs PeerTube, see claimPeerTubeUrl.
+function classifyPeerTubeUrl(url) {
+    try {
+        if (!url) return null;
+        const u = new URL(url);
+        if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
+        const path = u.pathname.replace(/\/+$/, '');
+        for (const shape of PEERTUBE_URL_SHAPES) {
+            const m = path.match(shape.regex);
+            if (!m) continue;
+            const value = decodeURIComponent(m[1]);
+            const ref = {
+                kind: shape.kind,
+                base: `${u.protocol}//${u.host}`,
+                embed: !!shape.embed,
+                start: parseStartTime(u.searchParams.get('start') || u.searchParams.get('t'))
+            };
+            if (shape.kind === 'channel' || shape.kind === 'account') {
+                ref.handle = value.replace(/^@/, '');
+                if (!ref.handle) return null;
+            } else {
+                ref.id = value;
+            }
+            // /w/p/{id}?playlistPosition=3 opens the third video of the playlist
+            const position = parseInt(u.searchParams.get('playlistPosition'), 10);
+            if (shape.kind === 'playlist' && position > 0) ref.position = position;
+            return ref;
+        }
+        return null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Verdicts of /api/v1/config probes on hosts outside our lists, so URL checks probe a host at most once an hour.
+// Kept apart from host health: a site that is not PeerTube is not a failing instance. Bounded, oldest dropped first.
+const HOST_VERDICT_TTL_MS = { other: 60 * 60 * 1000, unreachable: 5 * 60 * 1000 };
+const HOST_VERDICT_MAX_ENTRIES = 200;
+const hostVerdicts = new Map(); // base -> { verdict: 'other' | 'unreachable', until }
+
+// instances we sampled from the directory or verified ourselves, so links to them are claimed without a probe
+const KNOWN_INSTANCE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const KNOWN_INSTANCE_MAX_ENTRIES = 200;
+
+function rememberPeerTubeInstance(base) {
+    if (!base) return;
+    state.knownInstances = state.knownInstances || {};
+    delete state.knownInstances[base];
+    state.knownInstances[base] = Date.now();
+    const bases = Object.keys(state.knownInstances);
+    for (const old of bases.slice(0, Math.max(0, bases.length - KNOWN_INSTANCE_MAX_ENTRIES))) delete state.knownInstances[old];
+}
+
+function isRememberedPeerTubeInstance(base) {
+    const at = state.knownInstances && state.knownInstances[base];
+    return !!at && (Date.now() - at) < KNOWN_INSTANCE_TTL_MS;
+}
+
+// oldest first, expired entries dropped
+function loadKnownInstances(saved) {
+    state.knownInstances = {};
+    if (!saved || typeof saved !== 'object') return;
+    Object.keys(saved).sort((a, b) => saved[a] - saved[b]).forEach(base => {
+        if (typeof saved[base] === 'number' && (Date.now() - saved[base]) < KNOWN_INSTANCE_TTL_MS) state.knownInstances[base] = saved[base];
+    });
+}
+
+function rememberHostVerdict(base, verdict) {
+    hostVerdicts.delete(base);
+    hostVerdicts.set(base, { verdict: verdict, until: Date.now() + HOST_VERDICT_TTL_MS[verdict] });
+    while (hostVerdicts.size > HOST_VERDICT_MAX_ENTRIES) hostVerdicts.delete(hostVerdicts.keys().next().value);
+    return verdict;
+}
+
+// one GET of /api/v1/config, outside the health records: a PeerTube answer is kept as the instance's config
+function probePeerTubeHost(base) {
+    let res = null;
+    try {
+        const client = getHttpClient();
+        if (client) res = client.GET(`${base}/api/v1/config`, {}, false);
+    } catch (e) {
+        res = null;
+    }
+    // no answer or a gateway error: it may well be a PeerTube instance that is down
+    if (!res || !res.code || res.code >= 500) return rememberHostVerdict(base, 'unreachable');
+    let config = null;
+    try { config = res.isOk ? JSON.parse(res.body) : null; } catch (e) {}
+    if (!config || !config.serverVersion) return rememberHostVerdict(base, 'other');
+    storeInstanceConfig(base, config);
+    rememberPeerTubeInstance(base);
+    return 'peertube';
+}
+
+// 'peertube' | 'other' | 'unreachable': configured, sampled and remembered instances and instances we hold a
+// config for run PeerTube, a backed-off instance is unreachable, anything else is probed once
+function peerTubeHostVerdict(base) {
+    if (getConfiguredInstanceForUrl(base) || isRememberedPeerTubeInstance(base)) return 'peertube';
+    const cached = getInstanceConfig(base, true);
+    if (cached && cached.serverVersion) return 'peertube';
+    if (isHostCurrentlyUnhealthy(base)) return 'unreachable';
+    const known = hostVerdicts.get(base);
+    if (known && known.until > Date.now()) return known.verdict;
+    return probePeerTubeHost(base);
+}
+
+// classified ref when `url` is one of `kinds` on a PeerTube instance, otherwise null. A host we cannot reach
+// is not known to run PeerTube, so its URLs are only claimed when one of our instances resolves the object
+// (see resolveThroughMirror), which is also how they are opened.
+function claimPeerTubeUrl(url, kinds) {
+    const ref = classifyPeerTubeUrl(url);
+    if (!ref || kinds.indexOf(ref.kind) === -1 || isInstanceBlocked(ref.base)) return null;
+    const verdict = peerTubeHostVerdict(ref.base);
+    if (verdict === 'peertube') return ref;
+    if (verdict !== 'unreachable') return null;
+    const lookup = (ref.kind === 'playlist' && ref.position) ? { kind: 'playlist', base: ref.base, id: ref.id } : ref;
+    return resolveThroughMirror(lookup) ? ref : null;
+}
+
+// a cached 'other' verdict: the host answered and is not PeerTube, so no mirror can know its objects
+function isKnownNotPeerTube(base) {
+    const known = hostVerdicts.get(base);
+    return !!known && known.verdict === 'other' && known.until > Date.now();
+}
+
+// { base, id, start } for a video URL; playlist-item URLs give id null plus { playlistId, position }
+function parseVideoUrlRef(url) {
+    const ref = classifyPeerTubeUrl(url);
+    if (ref && ref.kind === 'video') return { base: ref.base, id: ref.id, start: ref.start };
+    if (ref && ref.kind === 'playlist' && ref.position) return { base: ref.base, id: null, playlistId: ref.id, position: ref.position, start: ref.start };
+    return { base: originOf(url) || pluginConfig?.constants?.baseUrl || '', id: null, start: 0 };
+}
+
+function isVideoRef(ref) {
+    return !!ref && (ref.kind === 'video' || (ref.kind === 'playlist' && !!ref.position));
+}
+
 // ---------------------- parseSettings ----------------------
 function parseSettings(settingsCandidate) {
     if (!settingsCandidate) settingsCandidate = plugin?.settings || {};
@@ -125,12 +315,47 @@ function parseSettings(settingsCandidate) {
             if (val && typeof val === 'object' && typeof val.value !== 'undefined') return intFrom(val.value, fallback);
             return fallback;
         };
+        const strFrom = (val, fallback) => {
+            if (typeof val === 'string') return val;
+            if (val && typeof val === 'object' && typeof val.value !== 'undefined') return strFrom(val.value, fallback);
+            return fallback;
+        };
 
         parsed.randomizeInstances = boolFrom(settingsCandidate.randomizeInstances, false);
         parsed.instanceSampleSize = Math.max(1, intFrom(settingsCandidate.instanceSampleSize, 3));
         parsed.maxPerChannel = Math.max(1, intFrom(settingsCandidate.maxPerChannel, 2));
         parsed.seenMax = Math.max(0, intFrom(settingsCandidate.seenMax, 500));
+        parsed.seenExpiryHours = Math.max(0, intFrom(settingsCandidate.seenExpiryHours, 24));
+        parsed.watchedExpiryDays = Math.max(0, intFrom(settingsCandidate.watchedExpiryDays, 30));
         parsed.submitActivity = boolFrom(settingsCandidate.submitActivity, true);
+        parsed.homeLiveOnly = boolFrom(settingsCandidate.homeLiveOnly, false);
+        parsed.homeSubscriptions = boolFrom(settingsCandidate.homeSubscriptions, false);
+        parsed.homeLocalSubscriptions = boolFrom(settingsCandidate.homeLocalSubscriptions, false);
+        parsed.subscriptionsImport = strFrom(settingsCandidate.subscriptionsImport, '').trim();
+        parsed.homeFeedMode = Math.min(HOME_FEED_MODES.length - 1, Math.max(0, intFrom(settingsCandidate.homeFeedMode, 0)));
+        parsed.homeCategories = parseCategoryList(strFrom(settingsCandidate.homeCategories, '').split(','));
+        parsed.homeTags = [...new Set(strFrom(settingsCandidate.homeTags, '').split(',').map(t => t.trim()).filter(Boolean))];
+        parsed.feedMergeMode = Math.min(2, Math.max(0, intFrom(settingsCandidate.feedMergeMode, 0)));
+        const weightParts = strFrom(settingsCandidate.feedRankWeights, '').split(',').map(w => parseFloat(w));
+        const weightAt = (i, fallback) => (Number.isFinite(weightParts[i]) && weightParts[i] >= 0) ? weightParts[i] : fallback;
+        parsed.feedRankWeights = { recency: weightAt(0, 1), views: weightAt(1, 0.3), likes: weightAt(2, 0.3) };
+        parsed.logHealthReport = boolFrom(settingsCandidate.logHealthReport, false);
+        parsed.discoverInstances = boolFrom(settingsCandidate.discoverInstances, false);
+        parsed.instanceDirectoryUrl = normalizeInstanceUrlCandidate(settingsCandidate.instanceDirectoryUrl) || 'https://instances.joinpeertube.org';
+        parsed.discoverMinUsers = Math.max(0, intFrom(settingsCandidate.discoverMinUsers, 0));
+        parsed.discoverMinVideos = Math.max(0, intFrom(settingsCandidate.discoverMinVideos, 100));
+        parsed.discoverRegistration = Math.min(2, Math.max(0, intFrom(settingsCandidate.discoverRegistration, 0)));
+        parsed.discoverExcludeNsfw = boolFrom(settingsCandidate.discoverExcludeNsfw, true);
+        parsed.loginInstance = normalizeInstanceUrlCandidate(settingsCandidate.loginInstance) || '';
+        parsed.loginUsername = strFrom(settingsCandidate.loginUsername, '').trim();
+        parsed.loginPassword = strFrom(settingsCandidate.loginPassword, '');
+        parsed.commentSort = Math.min(2, Math.max(0, intFrom(settingsCandidate.commentSort, 0)));
+        parsed.searchIndexUrl = normalizeInstanceUrlCandidate(settingsCandidate.searchIndexUrl) || '';
+        parsed.searchIndexMode = Math.min(2, Math.max(0, intFrom(settingsCandidate.searchIndexMode, 0)));
+        parsed.nsfwPolicy = Math.min(2, Math.max(0, intFrom(settingsCandidate.nsfwPolicy, NSFW_POLICY_HIDE)));
+        parsed.blockedInstances = [...new Set(strFrom(settingsCandidate.blockedInstances, '').split(',').map(normalizeBlockedHost).filter(Boolean))];
+        parsed.mutedChannels = [...new Set(strFrom(settingsCandidate.mutedChannels, '').split(',').map(normalizeMutedHandle).filter(Boolean))];
+        parsed.mutedKeywords = [...new Set(strFrom(settingsCandidate.mutedKeywords, '').split(',').map(k => k.trim().replace(/^#/, '').toLowerCase()).filter(Boolean))];
 
         // languages
         const langs = [];
@@ -156,97 +381,374 @@ function parseSettings(settingsCandidate) {
             maxPerChannel: 2,
             preferredLanguages: [],
             seenMax: 500,
-            submitActivity: true
+            seenExpiryHours: 24,
+            watchedExpiryDays: 30,
+            submitActivity: true,
+            homeLiveOnly: false,
+            homeSubscriptions: false,
+            homeLocalSubscriptions: false,
+            subscriptionsImport: '',
+            homeFeedMode: 0,
+            homeCategories: [],
+            homeTags: [],
+            feedMergeMode: 0,
+            feedRankWeights: { recency: 1, views: 0.3, likes: 0.3 },
+            logHealthReport: false,
+            discoverInstances: false,
+            instanceDirectoryUrl: 'https://instances.joinpeertube.org',
+            discoverMinUsers: 0,
+            discoverMinVideos: 100,
+            discoverRegistration: 0,
+            discoverExcludeNsfw: true,
+            loginInstance: '',
+            loginUsername: '',
+            loginPassword: '',
+            commentSort: 0,
+            searchIndexUrl: '',
+            searchIndexMode: 0,
+            nsfwPolicy: NSFW_POLICY_HIDE,
+            blockedInstances: [],
+            mutedChannels: [],
+            mutedKeywords: []
         };
         return _settings;
     }
 }
 
-// ---------------------- safe http GET ----------------------
-function safeHttpGet(url) {
+// ---------------------- safe http GET / POST ----------------------
+const REQUEST_TIMEOUT_MS = 8000;
+let httpClient; // resolved lazily by getHttpClient
+
+function getHttpPackage() {
+    if (typeof Http !== 'undefined' && typeof Http.GET === 'function') return Http;
+    if (typeof http !== 'undefined' && typeof http.GET === 'function') return http;
+    return null;
+}
+
+// a dedicated client with a per-request timeout when the host supports it, else the package itself
+function getHttpClient() {
+    if (httpClient !== undefined) return httpClient;
+    const pkg = getHttpPackage();
+    httpClient = pkg;
     try {
-        if (typeof Http !== 'undefined' && typeof Http.GET === 'function') {
-            return Http.GET(url, {});
+        if (pkg && typeof pkg.newClient === 'function') {
+            const c = pkg.newClient(false);
+            if (c && typeof c.setTimeout === 'function' && typeof c.GET === 'function') {
+                c.setTimeout(REQUEST_TIMEOUT_MS);
+                httpClient = c;
+            }
         }
-        if (typeof http !== 'undefined' && typeof http.GET === 'function') {
-            return http.GET(url, {});
+    } catch (e) {
+        logSafe('[getHttpClient] timeout client unavailable: ' + e);
+    }
+    return httpClient;
+}
+
+// raw request without auth injection; `body` is ignored for GET
+function safeHttpRequest(method, url, body, headers) {
+    try {
+        const client = getHttpClient();
+        if (!client) return { isOk: false, code: 0, body: null };
+        const started = Date.now();
+        let res;
+        if (method === 'POST') res = client.POST(url, body || '', headers || {}, false);
+        else if (method !== 'GET') {
+            if (typeof client.requestWithBody !== 'function') return { isOk: false, code: 0, body: null };
+            res = client.requestWithBody(method, url, body || '', headers || {}, false);
         }
+        else res = client.GET(url, headers || {}, false);
+        if (res && res.isOk) recordHostSuccess(originOf(url), Date.now() - started);
+        if (res && res.code === 401 && headers && headers.Authorization) onAuthRejected(url);
+        return res;
     } catch (e) {
         return { isOk: false, code: 0, body: null };
     }
-    return { isOk: false, code: 0, body: null };
 }
 
-// ---------------------- unhealthy host cache management ----------------------
-const UNHEALTHY_COOLDOWN_MS = 10 * 60 * 1000; // 10 minutes default
+function safeHttpGet(url) {
+    return safeHttpRequest('GET', url, null, authHeadersFor(url));
+}
+
+function safeHttpPost(url, body, headers) {
+    return safeHttpRequest('POST', url, body, Object.assign(authHeadersFor(url), headers || {}));
+}
+
+function safeHttpPut(url, body, headers) {
+    return safeHttpRequest('PUT', url, body, Object.assign(authHeadersFor(url), headers || {}));
+}
+
+// requests: [{ url, method?, body?, headers? }] -> responses in the same order.
+// Runs concurrently through the timeout client's batch API, as timed sequential requests when it has none or it fails.
+function safeHttpBatch(requests) {
+    if (!requests || !requests.length) return [];
+    const prepared = requests.map(r => ({
+        method: r.method || 'GET',
+        url: r.url,
+        body: r.body || '',
+        headers: Object.assign(authHeadersFor(r.url), r.headers || {})
+    }));
+    const failed = { isOk: false, code: 0, body: null };
+    const client = getHttpClient();
+    if (prepared.length > 1 && client && typeof client.batch === 'function') {
+        try {
+            let batch = client.batch();
+            for (const r of prepared) {
+                batch = (r.method === 'POST') ? batch.POST(r.url, r.body, r.headers, false) : batch.GET(r.url, r.headers, false);
+            }
+            const started = Date.now();
+            const responses = batch.execute();
+            if (Array.isArray(responses) && responses.length === prepared.length) {
+                // a batch only has one overall duration; every member is charged with it
+                const elapsed = Date.now() - started;
+                responses.forEach((res, i) => { if (res && res.isOk) recordHostSuccess(originOf(prepared[i].url), elapsed); });
+                return responses.map(res => res || failed);
+            }
+            logSafe('[safeHttpBatch] unexpected batch result, falling back to sequential');
+        } catch (e) {
+            logSafe('[safeHttpBatch] batch failed, falling back to sequential: ' + e);
+        }
+    }
+    return prepared.map(r => safeHttpRequest(r.method, r.url, r.body, r.headers));
+}
+
+// ---------------------- host health records ----------------------
+// state.hostHealth: { "<base>": { successes, failures, clientErrors, consecutiveFailures, avgLatencyMs,
+//                                 lastError, lastErrorAt, lastSuccessAt, bannedUntil } }
+// Only server/network failures back a host off (30s, 1m, 2m ... capped at 1h); 4xx answers mean the
+// host is up and merely lacks the requested object, so they are counted but never ban it. Errors on our
+// side (bad URLs in settings, bugs while handling a response) are logged and never recorded here.
+// Records of hosts not contacted for a week are dropped, and at most HEALTH_MAX_RECORDS are kept.
+const HEALTH_BACKOFF_BASE_MS = 30 * 1000;
+const HEALTH_BACKOFF_MAX_MS = 60 * 60 * 1000;
+const HEALTH_LATENCY_SMOOTHING = 0.3;
+const HEALTH_RECORD_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const HEALTH_MAX_RECORDS = 200;
+
+function getHostHealth(host) {
+    state.hostHealth = state.hostHealth || {};
+    if (!state.hostHealth[host]) {
+        state.hostHealth[host] = {
+            successes: 0, failures: 0, clientErrors: 0, consecutiveFailures: 0, avgLatencyMs: 0,
+            lastError: '', lastErrorAt: 0, lastSuccessAt: 0, bannedUntil: 0
+        };
+    }
+    return state.hostHealth[host];
+}
+
+function originOf(url) {
+    try { const u = new URL(url); return `${u.protocol}//${u.host}`; } catch (e) { return null; }
+}
 
-function markHostUnhealthy(host, reason) {
+function recordHostSuccess(host, latencyMs) {
     try {
-        const expiry = Date.now() + UNHEALTHY_COOLDOWN_MS;
-        state.unhealthyHosts = state.unhealthyHosts || {};
-        state.unhealthyHosts[host] = expiry;
-        logSafe(`[markHostUnhealthy] ${host} marked unhealthy until ${new Date(expiry).toISOString()} reason:${reason}`);
+        if (!host) return;
+        const h = getHostHealth(host);
+        h.successes++;
+        h.consecutiveFailures = 0;
+        h.bannedUntil = 0;
+        h.lastSuccessAt = Date.now();
+        if (typeof latencyMs === 'number' && latencyMs >= 0) {
+            h.avgLatencyMs = h.avgLatencyMs ? Math.round(h.avgLatencyMs * (1 - HEALTH_LATENCY_SMOOTHING) + latencyMs * HEALTH_LATENCY_SMOOTHING) : latencyMs;
+        }
     } catch (e) {}
 }
 
-function isHostCurrentlyUnhealthy(host) {
+// `code` is the HTTP status when there was a response (0 / undefined for network errors and exceptions)
+function recordHostFailure(host, reason, code) {
     try {
-        state.unhealthyHosts = state.unhealthyHosts || {};
-        const expiry = state.unhealthyHosts[host];
-        if (!expiry) return false;
-        if (Date.now() > expiry) {
-            // cooled down — forget it
-            delete state.unhealthyHosts[host];
-            return false;
+        if (!host) return;
+        const h = getHostHealth(host);
+        h.lastError = `${reason}${code ? ` (${code})` : ''}`;
+        h.lastErrorAt = Date.now();
+        if (code >= 400 && code < 500 && code !== 408 && code !== 429) {
+            h.clientErrors++;
+            logSafe(`[recordHostFailure] ${host} client error, not backing off: ${h.lastError}`);
+            return;
         }
-        return true;
+        h.failures++;
+        h.consecutiveFailures++;
+        const backoff = Math.min(HEALTH_BACKOFF_MAX_MS, HEALTH_BACKOFF_BASE_MS * Math.pow(2, h.consecutiveFailures - 1));
+        h.bannedUntil = Date.now() + backoff;
+        logSafe(`[recordHostFailure] ${host} backing off until ${new Date(h.bannedUntil).toISOString()} (failure #${h.consecutiveFailures}) reason:${h.lastError}`);
+    } catch (e) {}
+}
+
+function hostHealthLastActivity(h) {
+    return Math.max(h.lastSuccessAt || 0, h.lastErrorAt || 0, h.bannedUntil || 0);
+}
+
+// drops stale records, then the least recently active ones beyond HEALTH_MAX_RECORDS (active bans are kept)
+function pruneHostHealth() {
+    try {
+        const now = Date.now();
+        const hosts = Object.keys(state.hostHealth || {}).filter(host => {
+            const h = state.hostHealth[host];
+            return h && typeof h === 'object' && (h.bannedUntil > now || now - hostHealthLastActivity(h) < HEALTH_RECORD_TTL_MS);
+        });
+        hosts.sort((a, b) => hostHealthLastActivity(state.hostHealth[b]) - hostHealthLastActivity(state.hostHealth[a]));
+        const kept = {};
+        for (const host of hosts.slice(0, HEALTH_MAX_RECORDS)) kept[host] = state.hostHealth[host];
+        state.hostHealth = kept;
     } catch (e) {
-        return false;
+        logSafe('[pruneHostHealth] ' + e);
     }
 }
 
-// ---------------------- isInstanceHealthy (improved) ----------------------
-function isInstanceHealthy(baseUrl) {
+function isHostCurrentlyUnhealthy(host) {
     try {
-        if (!baseUrl) return false;
-        // quick guard: host already marked unhealthy?
-        if (isHostCurrentlyUnhealthy(baseUrl)) {
-            logSafe(`[isInstanceHealthy] skipping ${baseUrl} because it is currently unhealthy (cached)`);
-            return false;
-        }
-        // quick local validation: URL must parse and have http/https
-        try {
-            const u = new URL(baseUrl);
-            if (!u.protocol || (u.protocol !== 'http:' && u.protocol !== 'https:')) {
-                markHostUnhealthy(baseUrl, 'invalid-protocol');
-                return false;
-            }
-        } catch (e) {
-            markHostUnhealthy(baseUrl, 'invalid-url');
-            return false;
-        }
-        // Probe minimal endpoint with a short timeout behavior (we cannot set timeout in Http.GET typically)
+        const h = state.hostHealth && state.hostHealth[host];
+        return !!h && h.bannedUntil > Date.now();
+    } catch (e) {
+        return false;
+    }
+}
+
+// 0..1, higher is better: smoothed success rate damped by average latency
+function hostHealthScore(host) {
+    const h = state.hostHealth && state.hostHealth[host];
+    if (!h) return 0.5;
+    const reliability = (h.successes + 1) / (h.successes + h.failures + 2);
+    return reliability / (1 + (h.avgLatencyMs || 0) / 1000);
+}
+
+function formatHostHealthReport() {
+    const hosts = Object.keys(state.hostHealth || {});
+    if (!hosts.length) return '[health] no instance health recorded yet';
+    const now = Date.now();
+    const lines = hosts
+        .sort((a, b) => hostHealthScore(b) - hostHealthScore(a))
+        .map(host => {
+            const h = state.hostHealth[host];
+            const status = h.bannedUntil > now ? `backing off ${Math.ceil((h.bannedUntil - now) / 1000)}s` : 'ok';
+            return `${host} score:${hostHealthScore(host).toFixed(2)} ok:${h.successes} fail:${h.failures} 4xx:${h.clientErrors} ` +
+                `latency:${h.avgLatencyMs}ms status:${status}${h.lastError ? ` lastError:${h.lastError}` : ''}`;
+        });
+    return ['[health] instance health report'].concat(lines).join('\n');
+}
+
+// ---------------------- instance health probes ----------------------
+// probes /api/v1/config on every base concurrently; returns booleans in input order and marks failures unhealthy
+function checkInstancesHealth(baseUrls) {
+    const results = baseUrls.map(() => false);
+    const probes = [];
+    baseUrls.forEach((baseUrl, i) => {
         try {
-            const probeUrl = baseUrl.replace(/\/+$/, '') + '/api/v1/config';
-            const res = safeHttpGet(probeUrl);
-            if (!res || !res.isOk) {
-                markHostUnhealthy(baseUrl, `non-ok-response-code:${res && res.code ? res.code : 'no-res'}`);
-                return false;
+            if (!baseUrl) return;
+            // quick guard: host already marked unhealthy?
+            if (isHostCurrentlyUnhealthy(baseUrl)) {
+                logSafe(`[checkInstancesHealth] skipping ${baseUrl} because it is currently unhealthy (cached)`);
+                return;
             }
-            // parse safely
-            try { JSON.parse(res.body); } catch (e) {
-                markHostUnhealthy(baseUrl, 'invalid-json-config');
-                return false;
+            // quick local validation: URL must parse and have http/https
+            try {
+                const u = new URL(baseUrl);
+                if (!u.protocol || (u.protocol !== 'http:' && u.protocol !== 'https:')) {
+                    logSafe(`[checkInstancesHealth] not probing ${baseUrl}: invalid protocol`);
+                    return;
+                }
+            } catch (e) {
+                logSafe(`[checkInstancesHealth] not probing ${baseUrl}: invalid url`);
+                return;
             }
-            return true;
+            probes.push({ index: i, base: baseUrl, url: baseUrl.replace(/\/+$/, '') + '/api/v1/config' });
         } catch (e) {
-            markHostUnhealthy(baseUrl, 'exception:' + e);
-            return false;
+            logSafe(`[checkInstancesHealth] ${baseUrl} unexpected: ${e}`);
         }
+    });
+    const responses = safeHttpBatch(probes);
+    probes.forEach((probe, k) => {
+        const res = responses[k];
+        if (!res || !res.isOk) {
+            recordHostFailure(probe.base, 'config_nonok', res && res.code);
+            return;
+        }
+        // parse safely; the config doubles as the instance's capability record
+        let config;
+        try { config = JSON.parse(res.body); } catch (e) {
+            recordHostFailure(probe.base, 'invalid-json-config');
+            return;
+        }
+        storeInstanceConfig(probe.base, config);
+        results[probe.index] = true;
+    });
+    return results;
+}
+
+// ---------------------- instance capabilities (/api/v1/config) ----------------------
+// Summaries of each instance's /api/v1/config, filled by the health probe and persisted with an expiry.
+const INSTANCE_CONFIG_TTL_MS = 6 * 60 * 60 * 1000;
+
+function storeInstanceConfig(base, config) {
+    try {
+        if (!base || !config || typeof config !== 'object') return;
+        const searchIndex = config.search && config.search.searchIndex;
+        const remoteUri = (config.search && config.search.remoteUri) || {};
+        state.instanceConfigs = state.instanceConfigs || {};
+        state.instanceConfigs[base] = {
+            fetchedAt: Date.now(),
+            serverVersion: String(config.serverVersion || ''),
+            nsfwPolicy: (config.instance && config.instance.defaultNSFWPolicy) || '',
+            languages: (config.instance && Array.isArray(config.instance.languages)) ? config.instance.languages.map(l => String(l).toLowerCase()) : [],
+            categories: (config.instance && Array.isArray(config.instance.categories)) ? config.instance.categories : [],
+            searchIndexUrl: (searchIndex && searchIndex.enabled && searchIndex.url) ? normalizeInstanceUrlCandidate(searchIndex.url) || '' : '',
+            remoteSearchAnonymous: !!remoteUri.anonymous,
+            remoteSearchUsers: remoteUri.users !== false,
+            liveEnabled: !!(config.live && config.live.enabled)
+        };
     } catch (e) {
-        markHostUnhealthy(baseUrl, 'unexpected:' + e);
-        return false;
+        logSafe(`[storeInstanceConfig] ${base}: ${e}`);
+    }
+}
+
+function isInstanceConfigFresh(base) {
+    const cfg = state.instanceConfigs && state.instanceConfigs[base];
+    return !!cfg && (Date.now() - cfg.fetchedAt) < INSTANCE_CONFIG_TTL_MS;
+}
+
+// cached capability record for `base`; probes the instance when missing/expired unless `cachedOnly`
+function getInstanceConfig(base, cachedOnly) {
+    if (!base) return null;
+    if (!cachedOnly && !isInstanceConfigFresh(base) && !isHostCurrentlyUnhealthy(base)) checkInstancesHealth([base]);
+    return (state.instanceConfigs && state.instanceConfigs[base]) || null;
+}
+
+// refresh stale capability records for several instances in one concurrent round
+function ensureInstanceConfigs(bases) {
+    const stale = bases.filter(b => !isInstanceConfigFresh(b) && !isHostCurrentlyUnhealthy(b));
+    if (stale.length) checkInstancesHealth(stale);
+}
+
+function compareVersions(a, b) {
+    const pa = String(a).split(/[.-]/).map(n => parseInt(n, 10) || 0);
+    const pb = String(b).split(/[.-]/).map(n => parseInt(n, 10) || 0);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const d = (pa[i] || 0) - (pb[i] || 0);
+        if (d !== 0) return d > 0 ? 1 : -1;
     }
+    return 0;
+}
+
+// version gate for newer endpoints; `assumeWhenUnknown` decides for instances we have no version for
+function serverVersionAtLeast(base, version, assumeWhenUnknown) {
+    const cfg = getInstanceConfig(base);
+    if (!cfg || !cfg.serverVersion) return !!assumeWhenUnknown;
+    return compareVersions(cfg.serverVersion, version) >= 0;
+}
+
+// false only when the instance declares languages and none of the preferred ones is among them. Only used to
+// pass over discovered instances: configured ones always stay, the per-video language filter handles them.
+function instanceServesPreferredLanguages(base) {
+    const prefLangs = _settings.preferredLanguages || [];
+    const cfg = state.instanceConfigs && state.instanceConfigs[base];
+    if (!prefLangs.length || !cfg || !cfg.languages.length) return true;
+    return cfg.languages.some(l => prefLangs.indexOf(l) !== -1);
+}
+
+// whether searching this instance by URL/handle can return federated objects it does not know yet
+function instanceAllowsRemoteSearch(base) {
+    const cfg = getInstanceConfig(base, true);
+    if (!cfg) return true;
+    return isLoggedInTo(base) ? cfg.remoteSearchUsers : cfg.remoteSearchAnonymous;
 }
 
 // ---------------------- ensure numeric contentType ----------------------
@@ -259,43 +761,74 @@ function ensureContentType(item) {
     } catch (e) { return item; }
 }
 
+// ---------------------- thumbnails ----------------------
+// PeerTube renders every video image in two fixed sizes: the list thumbnail and the larger watch-page preview
+const THUMBNAIL_WIDTH = 280;
+const PREVIEW_WIDTH = 850;
+
+// [{ url, width }] smallest first; list endpoints give paths, the search index absolute URLs
+function videoThumbnailSizes(v, instanceBaseUrl) {
+    const sizes = [];
+    const thumbnail = v.thumbnailPath || v.thumbnailUrl;
+    const preview = v.previewPath || v.previewUrl;
+    if (thumbnail) sizes.push({ url: absoluteInstanceUrl(thumbnail, instanceBaseUrl), width: THUMBNAIL_WIDTH });
+    if (preview) sizes.push({ url: absoluteInstanceUrl(preview, instanceBaseUrl), width: PREVIEW_WIDTH });
+    return sizes;
+}
+
+// ---------------------- federation origin ----------------------
+// A federated video is listed by every instance that follows its channel, always under the same uuid.
+// Mirrors flag it isLocal: false and carry the owner's host on the channel/account.
+function videoOriginBase(v, fetchedFrom) {
+    if (!v || v.isLocal) return fetchedFrom || null;
+    const host = v.channel?.host || v.account?.host;
+    if (host) return `https://${host}`;
+    return originBaseForItem(v) || fetchedFrom || null;
+}
+
+// where a video's link should point: its origin, or the mirror we fetched it from while the origin is unhealthy
+function videoLinkBase(v, fetchedFrom) {
+    const origin = videoOriginBase(v, fetchedFrom);
+    if (!origin || !fetchedFrom || originOf(origin) === originOf(fetchedFrom)) return origin || fetchedFrom;
+    return isHostCurrentlyUnhealthy(origin) ? fetchedFrom : origin;
+}
+
 // reuse buildPlatformVideoFromPeerTube from v31 (keeps PlatformVideo usage when available)
-function buildPlatformVideoFromPeerTube(v, instanceBaseUrl) {
+// thumbnails stay on `instanceBaseUrl`: mirrors store their own copy under their own file name;
+// `nsfwPolicy` overrides the setting for listings that carry their own choice (see searchNsfwPolicy)
+function buildPlatformVideoFromPeerTube(v, instanceBaseUrl, nsfwPolicy) {
     try {
         const configId = (typeof plugin !== 'undefined' && plugin.id) ? plugin.id : FALLBACK_CONFIG_ID;
         const PlatformIDClass = (typeof PlatformID !== 'undefined') ? PlatformID : null;
-        const PlatformAuthorLinkClass = (typeof PlatformAuthorLink !== 'undefined') ? PlatformAuthorLink : null;
         const ThumbnailClass = (typeof Thumbnail !== 'undefined') ? Thumbnail : null;
         const ThumbnailsClass = (typeof Thumbnails !== 'undefined') ? Thumbnails : null;
         const PlatformVideoClass = (typeof PlatformVideo !== 'undefined') ? PlatformVideo : null;
 
         const idObj = PlatformIDClass ? new PlatformIDClass(PLATFORM, v.uuid, configId) : { platform: PLATFORM, value: v.uuid, owner: configId };
-        const authorUrl = (v.account && v.account.url) ? v.account.url : (instanceBaseUrl || '');
-        let authorObj;
-        if (PlatformAuthorLinkClass && PlatformIDClass) {
-            const aId = new PlatformIDClass(PLATFORM, v.account?.name || (v.account?.url || 'unknown'), configId);
-            authorObj = new PlatformAuthorLinkClass(aId, v.account?.displayName || v.account?.name || 'Unknown', authorUrl, null, v.account?.followersCount || 0);
-        } else {
-            authorObj = { id: { platform: PLATFORM, value: v.account?.name || '' }, name: v.account?.displayName || v.account?.name || 'Unknown', url: authorUrl };
-        }
+        // channels are what people subscribe to on PeerTube, so link the channel rather than the account
+        const authorObj = buildChannelAuthorLink(v, instanceBaseUrl);
         const thumbs = [];
-        if (v.thumbnailPath) {
-            const turl = (instanceBaseUrl || '') + v.thumbnailPath;
-            if (ThumbnailClass) thumbs.push(new ThumbnailClass(turl, 0)); else thumbs.push({ url: turl, width: 0 });
+        // Grayjay cannot blur a thumbnail, so "blur" drops it and flags the title instead
+        const blurred = !!v.nsfw && contentFilterVerdict(v, instanceBaseUrl, nsfwPolicy) === 'blur';
+        if (!blurred) {
+            for (const t of videoThumbnailSizes(v, instanceBaseUrl)) {
+                if (ThumbnailClass) thumbs.push(new ThumbnailClass(t.url, t.width)); else thumbs.push({ url: t.url, width: t.width });
+            }
         }
         const thumbnailsObj = (ThumbnailsClass ? new ThumbnailsClass(thumbs) : { items: thumbs });
+        const linkBase = videoLinkBase(v, instanceBaseUrl);
 
         if (PlatformVideoClass) {
             try {
                 const pv = new PlatformVideoClass({
                     id: idObj,
-                    name: v.name || '',
+                    name: blurred ? `[NSFW] ${v.name || ''}` : (v.name || ''),
                     thumbnails: thumbnailsObj,
                     author: authorObj,
                     datetime: Math.round((new Date(v.publishedAt || Date.now())).getTime() / 1000),
                     duration: v.duration || 0,
-                    viewCount: v.views || 0,
-                    url: (instanceBaseUrl ? (instanceBaseUrl + '/w/' + v.uuid) : (v.url || '')),
+                    viewCount: (v.isLive ? v.viewers : v.views) || v.views || 0,
+                    url: (linkBase ? (linkBase + '/w/' + v.uuid) : (v.url || '')),
                     isLive: !!v.isLive,
                     description: v.description || ''
                 });
@@ -308,13 +841,13 @@ function buildPlatformVideoFromPeerTube(v, instanceBaseUrl) {
         const fallback = {
             contentType: 1,
             id: idObj,
-            name: v.name || '',
+            name: blurred ? `[NSFW] ${v.name || ''}` : (v.name || ''),
             thumbnails: thumbs,
             author: authorObj,
             datetime: Math.round((new Date(v.publishedAt || Date.now())).getTime() / 1000),
             duration: v.duration || 0,
-            viewCount: v.views || 0,
-            url: (instanceBaseUrl ? (instanceBaseUrl + '/w/' + v.uuid) : (v.url || '')),
+            viewCount: (v.isLive ? v.viewers : v.views) || v.views || 0,
+            url: (linkBase ? (linkBase + '/w/' + v.uuid) : (v.url || '')),
             isLive: !!v.isLive,
             description: v.description || ''
         };
@@ -326,207 +859,2233 @@ function buildPlatformVideoFromPeerTube(v, instanceBaseUrl) {
     }
 }
 
-// ---------------------- seenIds management ----------------------
-function pushSeenId(id) {
-    if (!id) return;
-    state.seenIds = state.seenIds || [];
-    if (state.seenIds.indexOf(id) === -1) state.seenIds.unshift(id);
-    const max = Math.max(0, parseInt(_settings.seenMax || 500, 10) || 500);
-    if (state.seenIds.length > max) state.seenIds = state.seenIds.slice(0, max);
+// ---------------------- live state ----------------------
+// PeerTube VideoState ids relevant to lives (server/shared/models/videos/video-state.enum)
+const VIDEO_STATE_PUBLISHED = 1;
+const VIDEO_STATE_WAITING_FOR_LIVE = 4;
+const VIDEO_STATE_LIVE_ENDED = 5;
+
+function videoStateId(v) {
+    if (v && v.state && typeof v.state === 'object' && typeof v.state.id === 'number') return v.state.id;
+    if (v && typeof v.state === 'number') return v.state;
+    return VIDEO_STATE_PUBLISHED; // list endpoints usually omit the state of public videos
 }
 
-// ---------------------- getHome: sample healthy instances, skip unhealthy quickly ----------------------
-source.getHome = function (continuationToken) {
-    try {
-        // refresh settings
-        try { waitForReady(plugin?.settings, 4, 150); } catch (e) {}
-        parseSettings(plugin?.settings || {});
+// lives that have not started yet or ended without a replay have nothing to play
+function isUnplayableLive(v) {
+    if (!v || !v.isLive) return false;
+    const st = videoStateId(v);
+    return st === VIDEO_STATE_WAITING_FOR_LIVE || st === VIDEO_STATE_LIVE_ENDED;
+}
 
-        // build candidate pool and filter out currently-unhealthy hosts
-        const rawList = (_settings.instancesList || ['https://peertube.futo.org']).slice();
-        const healthyCandidates = [];
-        for (const candidate of rawList) {
-            if (isHostCurrentlyUnhealthy(candidate)) {
-                logSafe(`[getHome] skipping candidate (cached unhealthy): ${candidate}`);
-                continue;
-            }
-            // quick local validation - reject obviously invalid URLs
-            try { new URL(candidate); } catch (e) { markHostUnhealthy(candidate, 'invalid-url-format'); continue; }
-            healthyCandidates.push(candidate);
-        }
+function liveStatusNote(v) {
+    if (!v || !v.isLive) return '';
+    const st = videoStateId(v);
+    if (st === VIDEO_STATE_WAITING_FOR_LIVE) {
+        const startAt = Array.isArray(v.liveSchedules) && v.liveSchedules.length ? v.liveSchedules[0].startAt : null;
+        return startAt ? `This live stream has not started yet (scheduled for ${new Date(startAt).toUTCString()}).` : 'This live stream has not started yet.';
+    }
+    if (st === VIDEO_STATE_LIVE_ENDED) return 'This live stream has ended.';
+    return '';
+}
 
-        // if none healthy, fall back to first configured list but still try once (prevents empty feed)
-        let candidatesToTry = healthyCandidates.length ? healthyCandidates : rawList.slice(0, 3);
-
-        // random sample if requested
-        if (_settings.randomizeInstances) {
-            const arr = candidatesToTry.slice();
-            for (let i = arr.length-1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i+1));
-                [arr[i], arr[j]] = [arr[j], arr[i]];
-            }
-            candidatesToTry = arr.slice(0, Math.min(_settings.instanceSampleSize || 3, arr.length));
-        } else {
-            candidatesToTry = candidatesToTry.slice(0, Math.min(_settings.instanceSampleSize || 3, candidatesToTry.length));
-        }
+// ---------------------- content filters ----------------------
+// index = value of the nsfwPolicy dropdown; hiding is the default so shared devices start safe
+const NSFW_POLICY_HIDE = 0;
+const NSFW_POLICY_BLUR = 1;
+const NSFW_POLICY_SHOW = 2;
 
-        logSafe(`[getHome] trying instances: ${candidatesToTry.join(', ')}`);
+// "https://Tube.Example/x" -> "tube.example"
+function normalizeBlockedHost(entry) {
+    const raw = String(entry || '').trim().toLowerCase();
+    if (!raw) return '';
+    try { return new URL(/^https?:\/\//.test(raw) ? raw : `https://${raw}`).host; } catch (e) { return ''; }
+}
 
-        // iterate candidates; on failure mark unhealthy and continue to next
-        const aggregated = [];
-        const perChannelCount = {};
-        const seen = new Set();
-        const maxPerChannel = Math.max(1, parseInt(_settings.maxPerChannel || 2, 10) || 2);
-        const prefLangs = Array.isArray(_settings.preferredLanguages) ? _settings.preferredLanguages : [];
+// "@name@host", "name@host" or a channel/account URL -> "name@host"; a bare "name" mutes it on every host
+function normalizeMutedHandle(entry) {
+    const raw = String(entry || '').trim();
+    if (!raw) return '';
+    if (/^https?:\/\//i.test(raw)) {
+        const ref = classifyPeerTubeUrl(raw);
+        if (!ref || !ref.handle) return '';
+        const handle = ref.handle.toLowerCase();
+        return handle.indexOf('@') === -1 ? `${handle}@${new URL(ref.base).host.toLowerCase()}` : handle;
+    }
+    return raw.replace(/^@/, '').toLowerCase();
+}
 
-        // limit attempts per invocation (avoid long hangs)
-        const MAX_FETCH_ATTEMPTS = Math.max(3, candidatesToTry.length);
+function isInstanceBlocked(hostOrUrl) {
+    const blocked = _settings.blockedInstances || [];
+    if (!blocked.length || !hostOrUrl) return false;
+    const host = normalizeBlockedHost(hostOrUrl);
+    // blocking a domain also blocks its subdomains
+    return !!host && blocked.some(b => host === b || host.endsWith('.' + b));
+}
 
-        let fetchAttempts = 0;
-        for (const base of candidatesToTry) {
-            if (fetchAttempts >= MAX_FETCH_ATTEMPTS) break;
-            fetchAttempts++;
-            try {
-                // If candidate was healthy earlier check but turned bad now, mark and skip on first failure
-                const api = `${base}/api/v1/videos?sort=-publishedAt&start=0&count=30`;
-                const res = safeHttpGet(api);
-                if (!res || !res.isOk) {
-                    markHostUnhealthy(base, `getHome_nonok_${res && res.code ? res.code : 'nores'}`);
-                    continue;
-                }
-                let body;
-                try { body = JSON.parse(res.body); } catch (e) { markHostUnhealthy(base, 'getHome_parse_err'); continue; }
-                const data = body && body.data ? body.data : [];
-                for (const v of data) {
-                    if (!v || !v.uuid) continue;
-                    if (state.seenIds && state.seenIds.indexOf(v.uuid) !== -1) continue; // session dedupe
-                    // language filter
-                    if (prefLangs.length) {
-                        const vlang = (v.language || v.languageId || '').toString().toLowerCase();
-                        if (vlang && prefLangs.indexOf(vlang) === -1) continue;
-                    }
-                    const channelKey = v.account?.url || v.account?.name || 'unknown';
-                    perChannelCount[channelKey] = perChannelCount[channelKey] || 0;
-                    if (perChannelCount[channelKey] >= maxPerChannel) continue;
-                    perChannelCount[channelKey]++;
-                    // build typed item
-                    const built = buildPlatformVideoFromPeerTube(v, base);
-                    ensureContentType(built);
-                    if (seen.has(v.uuid)) continue;
-                    seen.add(v.uuid);
-                    aggregated.push(built);
-                    pushSeenId(v.uuid);
-                    if (aggregated.length >= 20) break;
-                }
-            } catch (e) {
-                markHostUnhealthy(base, 'exception:' + e);
-                continue;
-            }
-            if (aggregated.length >= 20) break;
-        }
+// blocked instances are never queried: checked on the URL's host and, for name@host handles, on the actor's home
+function isRefBlocked(ref) {
+    if (!ref) return false;
+    if (isInstanceBlocked(ref.base)) return true;
+    const at = ref.handle ? ref.handle.lastIndexOf('@') : -1;
+    return at !== -1 && isInstanceBlocked(ref.handle.slice(at + 1));
+}
 
-        // Final fallback: if we still have no items, try the primary baseUrl once more but do not loop forever
-        if (!aggregated.length && (_settings.instancesList && _settings.instancesList.length)) {
-            try {
-                const primary = _settings.instancesList[0];
-                if (!isHostCurrentlyUnhealthy(primary)) {
-                    const res = safeHttpGet(`${primary}/api/v1/videos?sort=-publishedAt&start=0&count=10`);
-                    if (res && res.isOk) {
-                        let body = null;
-                        try { body = JSON.parse(res.body); } catch (e) { body = null; }
-                        if (body && body.data) {
-                            for (const v of body.data) {
-                                if (!v || !v.uuid) continue;
-                                const built = buildPlatformVideoFromPeerTube(v, primary);
-                                ensureContentType(built);
-                                aggregated.push(built);
-                                pushSeenId(v.uuid);
-                                if (aggregated.length >= 10) break;
-                            }
-                        }
-                    }
-                }
-            } catch (e) {}
-        }
+function isActorMuted(actor, fallbackHost) {
+    const muted = _settings.mutedChannels || [];
+    if (!muted.length || !actor || !actor.name) return false;
+    const name = String(actor.name).toLowerCase();
+    const host = String(actor.host || fallbackHost || '').toLowerCase();
+    return muted.indexOf(name) !== -1 || (!!host && muted.indexOf(`${name}@${host}`) !== -1);
+}
 
-        try { return new VideoPager(aggregated, false, {}); } catch (e) {
-            // ensure each item has numeric contentType
-            for (const it of aggregated) ensureContentType(it);
-            return new VideoPager(aggregated, false, {});
-        }
-    } catch (err) {
-        logSafe('[getHome] fatal: ' + err);
-        return new VideoPager([], false, {});
+function matchesMutedKeyword(v) {
+    const keywords = _settings.mutedKeywords || [];
+    if (!keywords.length) return false;
+    const title = String(v.name || '').toLowerCase();
+    // list endpoints omit tags, so tag mutes only bite where the server sends them (details, search index)
+    const tags = Array.isArray(v.tags) ? v.tags.map(t => String(t).replace(/^#/, '').toLowerCase()) : [];
+    return keywords.some(k => title.indexOf(k) !== -1 || tags.indexOf(k) !== -1);
+}
+
+function currentNsfwPolicy() {
+    return (typeof _settings.nsfwPolicy === 'number') ? _settings.nsfwPolicy : NSFW_POLICY_HIDE;
+}
+
+// an explicit "Only NSFW" / "Show all" search filter lifts hiding for that search; thumbnails stay
+// blurred unless the setting already shows them. "Hide NSFW" hides whatever the setting says.
+function searchNsfwPolicy(choice) {
+    if (choice === 'false') return NSFW_POLICY_HIDE;
+    if (choice === 'true' || choice === 'both') return Math.max(currentNsfwPolicy(), NSFW_POLICY_BLUR);
+    return currentNsfwPolicy();
+}
+
+// 'hide' | 'blur' | 'show' for a video fetched from `fetchedFrom`; applied the same way in every listing.
+// `nsfwPolicy` defaults to the setting.
+function contentFilterVerdict(v, fetchedFrom, nsfwPolicy) {
+    if (!v) return 'hide';
+    let fetchedHost = '';
+    try { fetchedHost = new URL(fetchedFrom).host; } catch (e) {}
+    const origin = videoOriginBase(v, fetchedFrom);
+    if (isInstanceBlocked(origin) || isInstanceBlocked(fetchedFrom)) return 'hide';
+    if (isActorMuted(v.channel, fetchedHost) || isActorMuted(v.account, fetchedHost)) return 'hide';
+    if (matchesMutedKeyword(v)) return 'hide';
+    if (v.nsfw) {
+        const policy = (typeof nsfwPolicy === 'number') ? nsfwPolicy : currentNsfwPolicy();
+        if (policy === NSFW_POLICY_HIDE) return 'hide';
+        if (policy === NSFW_POLICY_BLUR) return 'blur';
     }
-};
+    return 'show';
+}
 
-// ---------------------- search (unchanged behavior, respects unhealthy cache) ----------------------
-source.search = function (query, type, order, filters) {
+function isVideoFilteredOut(v, fetchedFrom, nsfwPolicy) {
+    return contentFilterVerdict(v, fetchedFrom, nsfwPolicy) === 'hide';
+}
+
+// ask the server to leave NSFW out when we would hide it anyway, or when the instance itself does not list it;
+// an `nsfw` the caller already set (the search filter) is kept
+function applyNsfwParam(params, base) {
+    if (params.nsfw !== undefined) return params;
+    const cfg = base ? getInstanceConfig(base, true) : null;
+    if (currentNsfwPolicy() === NSFW_POLICY_HIDE || (cfg && cfg.nsfwPolicy === 'do_not_list')) params.nsfw = 'false';
+    return params;
+}
+
+// ---------------------- video details: sources, captions, rating ----------------------
+function absoluteInstanceUrl(pathOrUrl, instanceBaseUrl) {
+    if (!pathOrUrl) return '';
+    if (/^https?:\/\//i.test(pathOrUrl)) return pathOrUrl;
+    return (instanceBaseUrl || '') + pathOrUrl;
+}
+
+// PeerTube >= 4 exposes `avatars` (several sizes); older servers a single `avatar`
+function pickActorAvatarUrl(actor, instanceBaseUrl) {
     try {
-        parseSettings(plugin?.settings || {});
-        const results = [];
-        const bases = (_settings.instancesList || ['https://peertube.futo.org']);
-        for (const base of bases) {
-            if (isHostCurrentlyUnhealthy(base)) { logSafe(`[search] skipping unhealthy ${base}`); continue; }
-            try {
-                const api = `${base}/api/v1/search/videos?search=${encodeURIComponent(query)}&count=20`;
-                const res = safeHttpGet(api);
-                if (!res || !res.isOk) { markHostUnhealthy(base, 'search_nonok'); continue; }
-                const body = JSON.parse(res.body);
-                for (const v of (body.data || [])) {
-                    const built = buildPlatformVideoFromPeerTube(v, base);
-                    ensureContentType(built);
-                    results.push(built);
-                }
-            } catch (e) {
-                markHostUnhealthy(base, 'search_exception:' + e);
-                continue;
-            }
+        if (!actor) return null;
+        const avatars = Array.isArray(actor.avatars) ? actor.avatars.slice() : [];
+        if (!avatars.length && actor.avatar) avatars.push(actor.avatar);
+        if (!avatars.length) return null;
+        avatars.sort((a, b) => (b.width || 0) - (a.width || 0));
+        return avatars[0].fileUrl || absoluteInstanceUrl(avatars[0].path, instanceBaseUrl) || null;
+    } catch (e) { return null; }
+}
+
+// author link for the video's channel (falls back to the account on very old payloads)
+function buildChannelAuthorLink(v, instanceBaseUrl) {
+    const configId = (typeof plugin !== 'undefined' && plugin.id) ? plugin.id : FALLBACK_CONFIG_ID;
+    const PlatformIDClass = (typeof PlatformID !== 'undefined') ? PlatformID : null;
+    const PlatformAuthorLinkClass = (typeof PlatformAuthorLink !== 'undefined') ? PlatformAuthorLink : null;
+    const actor = v.channel || v.account || {};
+    const fullHandle = actor.name ? (actor.host ? `${actor.name}@${actor.host}` : actor.name) : (actor.url || 'unknown');
+    // point at the instance we fetched from (remote actors as name@host) so isChannelUrl recognises it
+    let url = actor.url || '';
+    if (instanceBaseUrl && actor.name) {
+        let instanceHost = '';
+        try { instanceHost = new URL(instanceBaseUrl).host; } catch (e) {}
+        const localHandle = (actor.host && actor.host !== instanceHost) ? fullHandle : actor.name;
+        url = `${instanceBaseUrl}/${v.channel ? 'c' : 'a'}/${localHandle}`;
+    }
+    const name = actor.displayName || actor.name || 'Unknown';
+    const avatar = pickActorAvatarUrl(actor, instanceBaseUrl);
+    if (PlatformAuthorLinkClass && PlatformIDClass) {
+        return new PlatformAuthorLinkClass(new PlatformIDClass(PLATFORM, fullHandle, configId), name, url, avatar, actor.followersCount || 0);
+    }
+    return { id: { platform: PLATFORM, value: fullHandle }, name: name, url: url, thumbnail: avatar, subscribers: actor.followersCount || 0 };
+}
+
+function buildVideoSourcesFromPeerTube(v) {
+    const HLSSourceClass = (typeof HLSSource !== 'undefined') ? HLSSource : null;
+    const VideoUrlSourceClass = (typeof VideoUrlSource !== 'undefined') ? VideoUrlSource : null;
+    const duration = v.duration || 0;
+    const sources = [];
+
+    const playlists = Array.isArray(v.streamingPlaylists) ? v.streamingPlaylists : [];
+    for (const pl of playlists) {
+        if (!pl || !pl.playlistUrl) continue;
+        const hls = { name: 'HLS', url: pl.playlistUrl, duration: duration, priority: true };
+        sources.push(HLSSourceClass ? new HLSSourceClass(hls) : hls);
+    }
+
+    // progressive (web video / webtorrent) files; HLS fragments only when the instance has no web videos
+    let files = Array.isArray(v.files) ? v.files.slice() : [];
+    if (!files.length) {
+        for (const pl of playlists) if (pl && Array.isArray(pl.files)) files = files.concat(pl.files);
+    }
+    const seenUrls = new Set();
+    const progressive = [];
+    for (const f of files) {
+        if (!f) continue;
+        const height = f.resolution && typeof f.resolution.id === 'number' ? f.resolution.id : 0;
+        // resolution 0 is the audio-only rendition; split HLS renditions may lack audio
+        if (height <= 0 || f.hasVideo === false || f.hasAudio === false) continue;
+        const url = f.fileUrl || f.fileDownloadUrl;
+        if (!url || seenUrls.has(url)) continue;
+        seenUrls.add(url);
+        progressive.push({
+            name: (f.resolution && f.resolution.label) || `${height}p`,
+            url: url,
+            width: f.width || 0,
+            height: height,
+            container: 'video/mp4',
+            codec: '',
+            bitrate: (f.size && duration) ? Math.round((f.size * 8) / duration) : 0,
+            duration: duration
+        });
+    }
+    progressive.sort((a, b) => b.height - a.height);
+    for (const p of progressive) sources.push(VideoUrlSourceClass ? new VideoUrlSourceClass(p) : p);
+    return sources;
+}
+
+function fetchVideoCaptions(instanceBaseUrl, videoId) {
+    try {
+        const res = safeHttpGet(`${instanceBaseUrl}/api/v1/videos/${videoId}/captions`);
+        if (!res || !res.isOk) return [];
+        const body = JSON.parse(res.body);
+        const subtitles = [];
+        for (const c of (body && body.data) || []) {
+            const url = c.fileUrl || absoluteInstanceUrl(c.captionPath, instanceBaseUrl);
+            if (!url) continue;
+            const label = (c.language && (c.language.label || c.language.id)) || 'Unknown';
+            subtitles.push({
+                name: c.automaticallyGenerated ? `${label} (auto-generated)` : label,
+                url: url,
+                format: 'text/vtt',
+                language: (c.language && c.language.id) || ''
+            });
         }
-        return new VideoPager(results, false, {});
+        return subtitles;
     } catch (e) {
-        logSafe('[search] error: ' + e);
-        return new VideoPager([], false, {});
+        logSafe(`[fetchVideoCaptions] ${instanceBaseUrl} ${videoId}: ${e}`);
+        return [];
     }
-};
+}
 
-// ---------------------- getContentDetails (respects unhealthy cache) ----------------------
-source.getContentDetails = function (url) {
+// seek-preview sprite sheets (PeerTube >= 6.0): [{ url, spriteWidth, spriteHeight, spriteDuration, totalWidth, totalHeight }]
+function fetchVideoStoryboards(instanceBaseUrl, videoId) {
     try {
-        if (!url) return null;
-        let base = pluginConfig?.constants?.baseUrl || '';
-        try { const u = new URL(url); base = `${u.protocol}//${u.host}`; } catch (e) {}
-        if (isHostCurrentlyUnhealthy(base)) { logSafe(`[getContentDetails] skipping unhealthy ${base}`); return null; }
-        try {
-            const id = (function extractId(uStr) { try { const u = new URL(uStr); const m = u.pathname.match(/([a-zA-Z0-9\-_]{6,})$/); return m ? m[1] : null; } catch (e) { return null; } })(url);
-            if (!id) return null;
-            const res = safeHttpGet(`${base}/api/v1/videos/${id}`);
-            if (!res || !res.isOk) { markHostUnhealthy(base, 'details_nonok'); return null; }
-            const body = JSON.parse(res.body);
-            const built = buildPlatformVideoFromPeerTube(body, base);
-            ensureContentType(built);
-            return built;
-        } catch (e) { markHostUnhealthy(base, 'details_exception:' + e); return null; }
-    } catch (e) { return null; }
+        if (!serverVersionAtLeast(instanceBaseUrl, '6.0.0', false)) return [];
+        const res = safeHttpGet(`${instanceBaseUrl}/api/v1/videos/${videoId}/storyboards`);
+        if (!res || !res.isOk) return [];
+        const body = JSON.parse(res.body);
+        return ((body && body.storyboards) || []).filter(sb => sb && sb.storyboardPath).map(sb => ({
+            url: absoluteInstanceUrl(sb.storyboardPath, instanceBaseUrl),
+            spriteWidth: sb.spriteWidth || 0,
+            spriteHeight: sb.spriteHeight || 0,
+            spriteDuration: sb.spriteDuration || 0,
+            totalWidth: sb.totalWidth || 0,
+            totalHeight: sb.totalHeight || 0
+        }));
+    } catch (e) {
+        logSafe(`[fetchVideoStoryboards] ${instanceBaseUrl} ${videoId}: ${e}`);
+        return [];
+    }
+}
+
+// chapters (PeerTube >= 6.0) as Grayjay chapters; each one runs until the next starts, the last until the end
+function fetchVideoChapters(instanceBaseUrl, videoId, duration) {
+    try {
+        if (!serverVersionAtLeast(instanceBaseUrl, '6.0.0', false)) return [];
+        const res = safeHttpGet(`${instanceBaseUrl}/api/v1/videos/${videoId}/chapters`);
+        if (!res || !res.isOk) return [];
+        const body = JSON.parse(res.body);
+        const marks = ((body && body.chapters) || []).filter(c => c && typeof c.timecode === 'number').sort((a, b) => a.timecode - b.timecode);
+        const chapterType = (typeof Type !== 'undefined' && Type.Chapter) ? Type.Chapter.NORMAL : 0;
+        return marks.map((c, i) => ({
+            name: c.title || `Chapter ${i + 1}`,
+            timeStart: c.timecode,
+            timeEnd: i + 1 < marks.length ? marks[i + 1].timecode : (duration || c.timecode),
+            type: chapterType
+        }));
+    } catch (e) {
+        logSafe(`[fetchVideoChapters] ${instanceBaseUrl} ${videoId}: ${e}`);
+        return [];
+    }
+}
+
+// `startSeconds` (from ?start= on the opened URL) stays on the details URL so playback can resume there
+function buildPlatformVideoDetailsFromPeerTube(v, instanceBaseUrl, subtitles, startSeconds, storyboards) {
+    const PlatformVideoDetailsClass = (typeof PlatformVideoDetails !== 'undefined') ? PlatformVideoDetails : null;
+    const VideoSourceDescriptorClass = (typeof VideoSourceDescriptor !== 'undefined') ? VideoSourceDescriptor : null;
+    const RatingClass = (typeof RatingLikesDislikes !== 'undefined') ? RatingLikesDislikes : null;
+
+    const summary = buildPlatformVideoFromPeerTube(v, instanceBaseUrl);
+    const unplayableLive = isUnplayableLive(v);
+    // a running live only exposes its live HLS playlist in streamingPlaylists
+    const sources = unplayableLive ? [] : buildVideoSourcesFromPeerTube(v);
+    const liveSource = (v.isLive && !unplayableLive) ? (sources[0] || null) : null;
+    let description = v.description || v.truncatedDescription || '';
+    const note = liveStatusNote(v);
+    if (note) description = note + (description ? '\n\n' + description : '');
+    if (Array.isArray(v.tags) && v.tags.length) {
+        description += (description ? '\n\n' : '') + v.tags.map(t => '#' + String(t).replace(/\s+/g, '')).join(' ');
+    }
+    const url = startSeconds > 0 ? `${summary.url}?start=${startSeconds}` : summary.url;
+    let datetime = summary.datetime;
+    if (videoStateId(v) === VIDEO_STATE_WAITING_FOR_LIVE && Array.isArray(v.liveSchedules) && v.liveSchedules.length) {
+        datetime = Math.round(new Date(v.liveSchedules[0].startAt).getTime() / 1000) || datetime;
+    }
+    const fields = {
+        id: summary.id,
+        name: summary.name,
+        thumbnails: summary.thumbnails,
+        author: buildChannelAuthorLink(v, instanceBaseUrl),
+        datetime: datetime,
+        duration: summary.duration,
+        viewCount: summary.viewCount,
+        url: url,
+        shareUrl: url,
+        isLive: summary.isLive && videoStateId(v) !== VIDEO_STATE_LIVE_ENDED,
+        description: description,
+        video: VideoSourceDescriptorClass ? new VideoSourceDescriptorClass(sources) : { isUnMuxed: false, videoSources: sources },
+        live: liveSource,
+        rating: RatingClass ? new RatingClass(v.likes || 0, v.dislikes || 0) : { type: 2, likes: v.likes || 0, dislikes: v.dislikes || 0 },
+        subtitles: subtitles || [],
+        storyboards: storyboards || []
+    };
+    if (PlatformVideoDetailsClass) {
+        try {
+            const details = new PlatformVideoDetailsClass(fields);
+            ensureContentType(details);
+            return details;
+        } catch (e) {
+            logSafe(`[buildPlatformVideoDetailsFromPeerTube] PlatformVideoDetails ctor failed: ${e}`);
+        }
+    }
+    fields.contentType = 1;
+    return fields;
+}
+
+// ---------------------- seen memory ----------------------
+// Impressions (a video was put on a feed page) hide it for seenExpiryHours; watches are recorded by the playback
+// tracker and hide a video for watchedExpiryDays once it was watched to the end. A half-watched video stays visible.
+const WATCHED_COMPLETE_RATIO = 0.9;
+
+// 0 (or anything unparsable) means the default, as it always has
+function seenMaxEntries() {
+    return Math.max(0, parseInt(_settings.seenMax || 500, 10) || 500);
+}
+
+// Map iteration order doubles as an LRU: touching an entry moves it to the end, eviction takes from the front
+function touchSeenEntry(uuid) {
+    const entry = state.seen.get(uuid) || { shownAt: 0, watchedAt: 0, watchedSeconds: 0, duration: 0 };
+    state.seen.delete(uuid);
+    state.seen.set(uuid, entry);
+    const max = seenMaxEntries();
+    while (state.seen.size > max) state.seen.delete(state.seen.keys().next().value);
+    return entry;
+}
+
+function recordSeenImpression(uuid) {
+    if (!uuid) return;
+    touchSeenEntry(uuid).shownAt = Date.now();
+}
+
+function recordSeenWatch(uuid, seconds, duration) {
+    if (!uuid) return;
+    const entry = touchSeenEntry(uuid);
+    entry.watchedAt = Date.now();
+    entry.watchedSeconds = Math.max(entry.watchedSeconds || 0, Math.floor(seconds || 0));
+    if (duration) entry.duration = duration;
+}
+
+function isSeenEntryExpired(entry, now) {
+    const shownLive = entry.shownAt && (now - entry.shownAt) < (_settings.seenExpiryHours ?? 24) * 60 * 60 * 1000;
+    const watchedLive = entry.watchedAt && (now - entry.watchedAt) < (_settings.watchedExpiryDays ?? 30) * 24 * 60 * 60 * 1000;
+    return !shownLive && !watchedLive;
+}
+
+// whether a feed should skip `uuid` right now
+function isVideoSeen(uuid) {
+    const entry = state.seen.get(uuid);
+    if (!entry) return false;
+    const now = Date.now();
+    if (entry.watchedAt && (now - entry.watchedAt) < (_settings.watchedExpiryDays ?? 30) * 24 * 60 * 60 * 1000) {
+        // something left to watch: let it come back so it can be finished
+        return !!entry.duration && entry.watchedSeconds >= entry.duration * WATCHED_COMPLETE_RATIO;
+    }
+    return !!entry.shownAt && (now - entry.shownAt) < (_settings.seenExpiryHours ?? 24) * 60 * 60 * 1000;
+}
+
+// canonical uuid and duration of recently opened videos (the playback tracker only gets the URL, which may carry a
+// shortUUID), plus the instance that served them and what recommendations need
+const OPENED_VIDEOS_MAX = 50;
+const openedVideos = new Map();
+
+function rememberOpenedVideo(urlId, v, base) {
+    if (!urlId || !v || !v.uuid) return;
+    openedVideos.delete(urlId);
+    openedVideos.set(urlId, {
+        uuid: v.uuid,
+        duration: v.duration || 0,
+        base: base || '', // the instance that served it, a mirror when the origin was unreachable
+        // what recommendations are built from
+        channel: v.channel ? { name: v.channel.name, host: v.channel.host } : null,
+        tags: Array.isArray(v.tags) ? v.tags : [],
+        category: v.category || null
+    });
+    while (openedVideos.size > OPENED_VIDEOS_MAX) openedVideos.delete(openedVideos.keys().next().value);
+}
+
+function pruneSeenEntries() {
+    const now = Date.now();
+    for (const [uuid, entry] of state.seen) if (isSeenEntryExpired(entry, now)) state.seen.delete(uuid);
+}
+
+// persisted as [uuid, shownAt, watchedAt, watchedSeconds, duration] rows, oldest first
+function serializeSeenEntries() {
+    pruneSeenEntries();
+    const rows = [];
+    for (const [uuid, e] of state.seen) rows.push([uuid, e.shownAt || 0, e.watchedAt || 0, e.watchedSeconds || 0, e.duration || 0]);
+    return rows;
+}
+
+// accepts the current rows or the pre-timestamp `seenIds` list (newest first), which becomes fresh impressions
+function loadSeenEntries(saved) {
+    state.seen = new Map();
+    if (Array.isArray(saved.seen)) {
+        for (const row of saved.seen) {
+            if (!Array.isArray(row) || !row[0]) continue;
+            state.seen.set(String(row[0]), { shownAt: row[1] || 0, watchedAt: row[2] || 0, watchedSeconds: row[3] || 0, duration: row[4] || 0 });
+        }
+    } else if (Array.isArray(saved.seenIds)) {
+        const now = Date.now();
+        for (const uuid of saved.seenIds.slice().reverse()) if (uuid) state.seen.set(String(uuid), { shownAt: now, watchedAt: 0, watchedSeconds: 0, duration: 0 });
+    }
+    pruneSeenEntries();
+    const max = seenMaxEntries();
+    while (state.seen.size > max) state.seen.delete(state.seen.keys().next().value);
+}
+
+// ---------------------- instance discovery (public instance directory) ----------------------
+// state.discovered: { fetchedAt, filterKey, instances: [base, ...] }, refreshed daily or when the filters change
+const DISCOVERY_TTL_MS = 24 * 60 * 60 * 1000;
+const DISCOVERY_MAX_INSTANCES = 50;
+const REGISTRATION_ANY = 0;
+const REGISTRATION_OPEN = 1;
+const REGISTRATION_CLOSED = 2;
+
+function discoveryFilterKey() {
+    return JSON.stringify([
+        _settings.instanceDirectoryUrl, _settings.preferredLanguages, _settings.discoverMinUsers,
+        _settings.discoverMinVideos, _settings.discoverRegistration, _settings.discoverExcludeNsfw
+    ]);
+}
+
+function instanceMatchesDiscoveryFilters(inst) {
+    if (!inst || !inst.host) return false;
+    if ((inst.totalUsers || 0) < _settings.discoverMinUsers) return false;
+    if ((inst.totalLocalVideos ?? inst.totalVideos ?? 0) < _settings.discoverMinVideos) return false;
+    if (_settings.discoverRegistration === REGISTRATION_OPEN && !inst.signupAllowed) return false;
+    if (_settings.discoverRegistration === REGISTRATION_CLOSED && inst.signupAllowed) return false;
+    if (_settings.discoverExcludeNsfw && inst.nsfwPolicy === 'display') return false;
+    const prefLangs = _settings.preferredLanguages || [];
+    const instLangs = Array.isArray(inst.languages) ? inst.languages.map(l => String(l).toLowerCase()) : [];
+    // instances that declare no languages are kept; the per-video language filter still applies
+    if (prefLangs.length && instLangs.length && !instLangs.some(l => prefLangs.indexOf(l) !== -1)) return false;
+    return true;
+}
+
+function fetchDiscoveredInstances() {
+    const params = { start: 0, count: 200, healthy: true, sort: '-totalLocalVideos' };
+    if (_settings.preferredLanguages && _settings.preferredLanguages.length) params.languageOr = _settings.preferredLanguages;
+    if (_settings.discoverRegistration === REGISTRATION_OPEN) params.signup = true;
+    if (_settings.discoverExcludeNsfw) params.nsfwPolicy = ['do_not_list', 'blur'];
+    const res = safeHttpGet(`${_settings.instanceDirectoryUrl}/api/v1/instances?${buildQueryString(params)}`);
+    if (!res || !res.isOk) {
+        recordHostFailure(_settings.instanceDirectoryUrl, 'directory_nonok', res && res.code);
+        return null;
+    }
+    const body = JSON.parse(res.body);
+    const found = [];
+    for (const inst of ((body && body.data) || [])) {
+        if (!instanceMatchesDiscoveryFilters(inst)) continue;
+        const base = normalizeInstanceUrlCandidate(inst.host);
+        if (base && found.indexOf(base) === -1) found.push(base);
+        if (found.length >= DISCOVERY_MAX_INSTANCES) break;
+    }
+    return found;
+}
+
+// cached discovered instance bases; [] when discovery is off or the directory is unreachable
+function getDiscoveredInstances() {
+    try {
+        if (!_settings.discoverInstances || !_settings.instanceDirectoryUrl) return [];
+        const key = discoveryFilterKey();
+        const cached = state.discovered;
+        const fresh = cached && cached.filterKey === key && (Date.now() - cached.fetchedAt) < DISCOVERY_TTL_MS;
+        if (fresh || isHostCurrentlyUnhealthy(_settings.instanceDirectoryUrl)) return (cached && cached.instances) || [];
+        const found = fetchDiscoveredInstances();
+        if (!found) return (cached && cached.instances) || [];
+        state.discovered = { fetchedAt: Date.now(), filterKey: key, instances: found };
+        logSafe(`[getDiscoveredInstances] ${found.length} instances from ${_settings.instanceDirectoryUrl}`);
+        return found;
+    } catch (e) {
+        logSafe('[getDiscoveredInstances] error: ' + e);
+        return (state.discovered && state.discovered.instances) || [];
+    }
+}
+
+// ---------------------- paged video lists ----------------------
+// fetch one page of a PeerTube video list endpoint (`path` is relative to the instance, e.g. /api/v1/video-channels/x/videos)
+// `emitted` (uuid -> true) collapses a video listed twice across pages, e.g. a playlist that holds it more than once
+function fetchVideoListPage(base, path, params, start, count, emitted) {
+    if (isHostCurrentlyUnhealthy(base)) {
+        logSafe(`[fetchVideoListPage] skipping ${base}${path}: host is backing off`);
+        return { items: [], hasMore: false };
+    }
+    const query = buildQueryString(Object.assign({}, params || {}, { start: start, count: count }));
+    const res = safeHttpGet(`${base}${path}?${query}`);
+    if (!res || !res.isOk) {
+        recordHostFailure(base, 'list_nonok', res && res.code);
+        return { items: [], hasMore: false };
+    }
+    let body;
+    try { body = JSON.parse(res.body); } catch (e) { recordHostFailure(base, 'list_parse_err'); return { items: [], hasMore: false }; }
+    const data = (body && Array.isArray(body.data)) ? body.data : [];
+    const items = [];
+    for (const raw of data) {
+        // playlist elements wrap the video (null when it was deleted or made private)
+        const v = (raw && !raw.uuid && 'video' in raw) ? raw.video : raw;
+        if (!v || !v.uuid || isUnplayableLive(v) || isVideoFilteredOut(v, base)) continue;
+        if (emitted) { if (emitted[v.uuid]) continue; emitted[v.uuid] = true; }
+        items.push(ensureContentType(buildPlatformVideoFromPeerTube(v, base)));
+    }
+    const total = (body && typeof body.total === 'number') ? body.total : 0;
+    return { items: items, hasMore: data.length > 0 && (start + data.length) < total };
+}
+
+class PeerTubeVideoListPager extends VideoPager {
+    constructor(base, path, params, start, count, emitted) {
+        emitted = emitted || {};
+        let page = { items: [], hasMore: false };
+        try { page = fetchVideoListPage(base, path, params, start, count, emitted); }
+        catch (e) { logSafe(`[PeerTubeVideoListPager] ${base}${path}: ${e}`); }
+        super(page.items, page.hasMore, { base: base, path: path, params: params, start: start, count: count, emitted: emitted });
+    }
+
+    nextPage() {
+        const c = this.context;
+        return new PeerTubeVideoListPager(c.base, c.path, c.params, c.start + c.count, c.count, c.emitted);
+    }
+}
+
+// ---------------------- multi-instance aggregated pager ----------------------
+// Each source walks one instance endpoint with its own `start` offset; fetched videos wait in `pending`
+// until a page takes them, so nothing is dropped when a page fills up mid-batch.
+const MAX_REFILLS_PER_PAGE = 3;
+
+function createInstanceFeedSource(base, path, params) {
+    return { base: base, path: path, params: params || {}, start: 0, pending: [], exhausted: false };
+}
+
+// options: tag (log/unhealthy reason prefix), batchSize, pageSize, perSourceLimit, feedRules (seen-IDs, languages, per-channel cap),
+//          recordSeen (remember emitted videos as seen; defaults to feedRules),
+//          merge ('sequential' | 'roundRobin' | 'ranked' | 'byDate'), weights ({ recency, views, likes }) for 'ranked'
+//          and nsfwPolicy (see searchNsfwPolicy)
+function createAggregateContext(sources, options) {
+    return {
+        sources: sources,
+        tag: options.tag || 'feed',
+        batchSize: options.batchSize || 20,
+        pageSize: options.pageSize || Infinity,
+        perSourceLimit: options.perSourceLimit || Infinity,
+        feedRules: !!options.feedRules,
+        recordSeen: options.recordSeen !== undefined ? !!options.recordSeen : !!options.feedRules,
+        merge: options.merge || 'sequential',
+        weights: options.weights || { recency: 1, views: 0, likes: 0 },
+        nsfwPolicy: options.nsfwPolicy, // undefined: the setting
+        emitted: {} // uuid -> true for everything already returned by this pager
+    };
+}
+
+function applyFeedSourceResponse(src, res, batchSize, tag) {
+    try {
+        if (!res || !res.isOk) {
+            recordHostFailure(src.base, `${tag}_nonok`, res && res.code);
+            src.exhausted = true;
+            return;
+        }
+        let body;
+        try { body = JSON.parse(res.body); } catch (e) { recordHostFailure(src.base, `${tag}_parse_err`); src.exhausted = true; return; }
+        const data = (body && Array.isArray(body.data)) ? body.data : [];
+        src.start += data.length;
+        const total = (body && typeof body.total === 'number') ? body.total : null;
+        if (data.length < batchSize || (total !== null && src.start >= total)) src.exhausted = true;
+        for (const v of data) src.pending.push(v);
+    } catch (e) {
+        logSafe(`[${tag}] ${src.base} response handling failed: ${e}`);
+        src.exhausted = true;
+    }
+}
+
+// fetch the next batch for every source that has nothing pending, all instances at once
+function refillInstanceFeedSources(srcs, batchSize, tag) {
+    const due = [];
+    for (const src of srcs) {
+        if (src.exhausted || src.pending.length) continue;
+        if (isHostCurrentlyUnhealthy(src.base)) { src.exhausted = true; continue; }
+        due.push(src);
+    }
+    const responses = safeHttpBatch(due.map(src => ({
+        url: `${src.base}${src.path}?${buildQueryString(Object.assign({}, src.params, { start: src.start, count: batchSize }))}`
+    })));
+    due.forEach((src, i) => applyFeedSourceResponse(src, responses[i], batchSize, tag));
+}
+
+function refillInstanceFeedSource(src, batchSize, tag) {
+    refillInstanceFeedSources([src], batchSize, tag);
+}
+
+// stateless per-video filters: duplicates, unplayable lives, content filters and, for feeds, seen-IDs and preferred languages
+function passesFeedFilters(v, src, ctx) {
+    if (!v || !v.uuid || ctx.emitted[v.uuid] || isUnplayableLive(v)) return false;
+    if (isVideoFilteredOut(v, itemBaseForSource(src, v), ctx.nsfwPolicy)) return false;
+    if (!ctx.feedRules) return true;
+    if (isVideoSeen(v.uuid)) return false;
+    const prefLangs = Array.isArray(_settings.preferredLanguages) ? _settings.preferredLanguages : [];
+    if (prefLangs.length) {
+        const vlang = ((v.language && typeof v.language === 'object' ? v.language.id : v.language) || v.languageId || '').toString().toLowerCase();
+        if (vlang && prefLangs.indexOf(vlang) === -1) return false;
+    }
+    return true;
+}
+
+// per-page channel cap (feeds only); takes a slot when one is free
+function claimChannelSlot(v, ctx, page) {
+    if (!ctx.feedRules) return true;
+    const maxPerChannel = Math.max(1, parseInt(_settings.maxPerChannel || 2, 10) || 2);
+    const channelKey = v.channel?.url || v.account?.url || v.account?.name || 'unknown';
+    page.perChannelCount[channelKey] = page.perChannelCount[channelKey] || 0;
+    if (page.perChannelCount[channelKey] >= maxPerChannel) return false;
+    page.perChannelCount[channelKey]++;
+    return true;
+}
+
+// when the video's origin instance is one of our sources and has the same uuid queued, take its copy
+// instead of the mirror's so the link and thumbnail come from the origin
+function preferOriginCopy(v, src, ctx) {
+    if (v.isLocal || src.originFromItem) return { v: v, src: src };
+    const origin = videoOriginBase(v, src.base);
+    const originSrc = origin && ctx.sources.find(s => s !== src && !s.originFromItem && originOf(s.base) === originOf(origin));
+    const idx = originSrc ? originSrc.pending.findIndex(p => p && p.uuid === v.uuid) : -1;
+    if (idx === -1) return { v: v, src: src };
+    return { v: originSrc.pending.splice(idx, 1)[0], src: originSrc };
+}
+
+// next { v, src } from `src` passing the filters (refilling a few times per page); null when the source has none left
+function takeFromSource(src, ctx, page, claimSlot) {
+    for (;;) {
+        if (!src.pending.length) {
+            const refills = page.refills.get(src) || 0;
+            if (src.exhausted || refills >= MAX_REFILLS_PER_PAGE) return null;
+            page.refills.set(src, refills + 1);
+            refillInstanceFeedSource(src, ctx.batchSize, ctx.tag);
+            continue;
+        }
+        const v = src.pending.shift();
+        if (!passesFeedFilters(v, src, ctx)) continue;
+        const entry = preferOriginCopy(v, src, ctx);
+        if (claimSlot && !claimChannelSlot(entry.v, ctx, page)) continue;
+        return entry;
+    }
+}
+
+function emitAggregatedVideo(v, src, ctx, items) {
+    ctx.emitted[v.uuid] = true;
+    items.push(ensureContentType(buildPlatformVideoFromPeerTube(v, itemBaseForSource(src, v), ctx.nsfwPolicy)));
+    if (ctx.recordSeen) recordSeenImpression(v.uuid);
+}
+
+function publishedTime(v) {
+    return new Date(v.publishedAt || v.createdAt || 0).getTime() || 0;
+}
+
+// recency decays over a couple of days; views and likes are log-scaled so one viral video does not dominate
+function rankAggregatedVideo(v, weights, now) {
+    const published = publishedTime(v);
+    const ageHours = Math.max(0, (now - published) / (60 * 60 * 1000));
+    const recency = Math.exp(-ageHours / 48);
+    const views = Math.min(1, Math.log10(1 + (v.views || 0)) / 6);
+    const likes = Math.min(1, Math.log10(1 + (v.likes || 0)) / 4);
+    return weights.recency * recency + weights.views * views + weights.likes * likes;
+}
+
+function collectAggregatedPage(ctx) {
+    const items = [];
+    const page = { perChannelCount: {}, refills: new Map() };
+    refillInstanceFeedSources(ctx.sources, ctx.batchSize, ctx.tag);
+
+    if (ctx.merge === 'byDate') {
+        // every source lists newest first, so the newest of their heads is the next video overall
+        const heads = new Map();
+        while (items.length < ctx.pageSize) {
+            let best = null;
+            for (const src of ctx.sources) {
+                if (!heads.has(src)) heads.set(src, takeFromSource(src, ctx, page, false));
+                const head = heads.get(src);
+                if (head && (!best || publishedTime(head.v) > publishedTime(best.v))) best = head;
+            }
+            if (!best) break;
+            for (const [src, head] of heads) if (head === best) heads.delete(src);
+            if (!ctx.emitted[best.v.uuid] && claimChannelSlot(best.v, ctx, page)) emitAggregatedVideo(best.v, best.src, ctx, items);
+        }
+        for (const head of heads.values()) if (head) head.src.pending.unshift(head.v);
+        return items;
+    }
+
+    if (ctx.merge === 'roundRobin') {
+        // one video per instance per turn, so every sampled instance shows up near the top
+        let active = ctx.sources.slice();
+        while (items.length < ctx.pageSize && active.length) {
+            const stillActive = [];
+            for (const src of active) {
+                if (items.length >= ctx.pageSize) { stillActive.push(src); continue; }
+                const entry = takeFromSource(src, ctx, page, true);
+                if (!entry) continue;
+                emitAggregatedVideo(entry.v, entry.src, ctx, items);
+                stillActive.push(src);
+            }
+            active = stillActive;
+        }
+        return items;
+    }
+
+    if (ctx.merge === 'ranked') {
+        // pull up to a page worth of candidates from every instance, rank them together and
+        // put whatever did not make the page back in front of its instance's queue
+        const candidates = [];
+        for (const src of ctx.sources) {
+            for (let n = 0; n < ctx.pageSize; n++) {
+                const entry = takeFromSource(src, ctx, page, false);
+                if (!entry) break;
+                candidates.push({ v: entry.v, src: entry.src, order: n });
+            }
+        }
+        const now = Date.now();
+        for (const c of candidates) c.score = rankAggregatedVideo(c.v, ctx.weights, now);
+        candidates.sort((a, b) => b.score - a.score);
+        const leftovers = [];
+        for (const c of candidates) {
+            if (items.length < ctx.pageSize && !ctx.emitted[c.v.uuid] && claimChannelSlot(c.v, ctx, page)) emitAggregatedVideo(c.v, c.src, ctx, items);
+            else if (!ctx.emitted[c.v.uuid]) leftovers.push(c);
+        }
+        leftovers.sort((a, b) => b.order - a.order);
+        for (const c of leftovers) c.src.pending.unshift(c.v);
+        return items;
+    }
+
+    for (const src of ctx.sources) {
+        let taken = 0;
+        while (items.length < ctx.pageSize && taken < ctx.perSourceLimit) {
+            const entry = takeFromSource(src, ctx, page, true);
+            if (!entry) break;
+            emitAggregatedVideo(entry.v, entry.src, ctx, items);
+            taken++;
+        }
+        if (items.length >= ctx.pageSize) break;
+    }
+    return items;
+}
+
+function aggregateHasMore(ctx) {
+    return ctx.sources.some(src => src.pending.length > 0 || !src.exhausted);
+}
+
+class PeerTubeAggregatePager extends VideoPager {
+    constructor(ctx) {
+        let items = [];
+        try { items = collectAggregatedPage(ctx); }
+        catch (e) { logSafe(`[PeerTubeAggregatePager] ${ctx.tag}: ${e}`); }
+        super(items, aggregateHasMore(ctx), ctx);
+    }
+
+    nextPage() {
+        return new PeerTubeAggregatePager(this.context);
+    }
+}
+
+// ---------------------- home feed modes & virtual feeds ----------------------
+// index = value of the feedMergeMode dropdown
+const FEED_MERGE_MODES = ['roundRobin', 'ranked', 'sequential'];
+
+// index = value of the homeFeedMode dropdown
+const HOME_FEED_MODES = [
+    { name: 'Recently added', params: { sort: '-publishedAt' } },
+    { name: 'Trending', params: { sort: '-trending' } },
+    { name: 'Hot', params: { sort: '-hot' } },
+    { name: 'Most liked', params: { sort: '-likes' } },
+    { name: 'Most viewed', params: { sort: '-views' } },
+    { name: 'Local only', params: { sort: '-publishedAt', isLocal: true } }
+];
+
+// category ids from ids or names ("13, Music"), using the PeerTube default categories
+function parseCategoryList(values) {
+    const ids = [];
+    for (const raw of values || []) {
+        const t = String(raw).trim();
+        if (!t) continue;
+        let id = parseInt(t, 10);
+        if (isNaN(id)) {
+            const match = Object.keys(SEARCH_CATEGORIES).find(k => SEARCH_CATEGORIES[k].toLowerCase() === t.toLowerCase());
+            id = match ? parseInt(match, 10) : NaN;
+        }
+        if (!isNaN(id) && ids.indexOf(id) === -1) ids.push(id);
+    }
+    return ids;
+}
+
+function homeFeedParams() {
+    const mode = HOME_FEED_MODES[_settings.homeFeedMode] || HOME_FEED_MODES[0];
+    const params = Object.assign({}, mode.params);
+    if (_settings.homeLiveOnly) params.isLive = true;
+    if (_settings.homeCategories && _settings.homeCategories.length) params.categoryOneOf = _settings.homeCategories;
+    if (_settings.homeTags && _settings.homeTags.length) params.tagsOneOf = _settings.homeTags;
+    return params;
+}
+
+// Virtual feeds are the instance's own browse pages (/videos/trending, /videos/browse?scope=local&sort=-likes, ...)
+// opened like channels; their contents run through the same feed rules as the home feed.
+const VIRTUAL_FEED_PATHS = {
+    '/videos/trending': { title: 'Trending', params: { sort: '-trending' } },
+    '/videos/local': { title: 'Local videos', params: { sort: '-publishedAt', isLocal: true } },
+    '/videos/recently-added': { title: 'Recently added', params: { sort: '-publishedAt' } },
+    '/videos/most-liked': { title: 'Most liked', params: { sort: '-likes' } },
+    '/videos/browse': { title: 'Browse', params: { sort: '-publishedAt' } }
+};
+
+// { base, title, params } for virtual feed URLs on a configured instance
+function parseVirtualFeedUrl(url) {
+    try {
+        if (!url) return null;
+        const base = getConfiguredInstanceForUrl(url);
+        if (!base) return null;
+        const u = new URL(url);
+        const feed = VIRTUAL_FEED_PATHS[u.pathname.replace(/\/+$/, '')];
+        if (!feed) return null;
+        const params = Object.assign({}, feed.params);
+        const titleParts = [feed.title];
+        const sort = u.searchParams.get('sort');
+        if (sort && /^-?(publishedAt|trending|hot|likes|views|originallyPublishedAt)$/.test(sort)) params.sort = sort;
+        if (u.searchParams.get('scope') === 'local') { params.isLocal = true; titleParts.push('local'); }
+        const categories = parseCategoryList(u.searchParams.getAll('categoryOneOf'));
+        if (categories.length) {
+            params.categoryOneOf = categories;
+            titleParts.push(categories.map(c => SEARCH_CATEGORIES[c] || c).join(', '));
+        }
+        const tags = u.searchParams.getAll('tagsOneOf').map(t => t.trim()).filter(Boolean);
+        if (tags.length) { params.tagsOneOf = tags; titleParts.push(tags.map(t => '#' + t).join(' ')); }
+        const languages = u.searchParams.getAll('languageOneOf').map(l => l.trim().toLowerCase()).filter(Boolean);
+        if (languages.length) params.languageOneOf = languages;
+        return { base: base, title: `${titleParts.join(' · ')} on ${new URL(base).host}`, params: params, url: url };
+    } catch (e) {
+        return null;
+    }
+}
+
+function buildVirtualFeedChannel(feed) {
+    const configId = (typeof plugin !== 'undefined' && plugin.id) ? plugin.id : FALLBACK_CONFIG_ID;
+    const PlatformIDClass = (typeof PlatformID !== 'undefined') ? PlatformID : null;
+    const PlatformChannelClass = (typeof PlatformChannel !== 'undefined') ? PlatformChannel : null;
+    const fields = {
+        id: PlatformIDClass ? new PlatformIDClass(PLATFORM, feed.url, configId) : { platform: PLATFORM, value: feed.url, owner: configId },
+        name: feed.title,
+        thumbnail: null,
+        banner: null,
+        subscribers: 0,
+        description: `Videos from ${feed.base} (${buildQueryString(feed.params)})`,
+        url: feed.url,
+        urlAlternatives: [feed.url],
+        links: {}
+    };
+    return PlatformChannelClass ? new PlatformChannelClass(fields) : fields;
+}
+
+function getVirtualFeedContents(feed, type) {
+    if (isHostCurrentlyUnhealthy(feed.base)) return new VideoPager([], false, {});
+    if (isInstanceBlocked(feed.base)) return new VideoPager([], false, {});
+    const params = applyNsfwParam(Object.assign({}, feed.params), feed.base);
+    if (type === Type.Feed.Live || type === Type.Feed.Streams) params.isLive = true;
+    return new PeerTubeAggregatePager(createAggregateContext([createInstanceFeedSource(feed.base, '/api/v1/videos', params)], {
+        tag: 'virtualFeed',
+        batchSize: 30,
+        pageSize: 20,
+        feedRules: true,
+        merge: FEED_MERGE_MODES[_settings.feedMergeMode] || 'roundRobin',
+        weights: _settings.feedRankWeights
+    }));
+}
+
+// weighted random sample without replacement, weight = hostHealthScore
+function weightedSampleInstances(candidates, size) {
+    const pool = candidates.slice();
+    const picked = [];
+    while (pool.length && picked.length < size) {
+        const weights = pool.map(c => Math.max(0.01, hostHealthScore(c)));
+        let r = Math.random() * weights.reduce((a, b) => a + b, 0);
+        let idx = 0;
+        while (idx < pool.length - 1 && r >= weights[idx]) { r -= weights[idx]; idx++; }
+        picked.push(pool.splice(idx, 1)[0]);
+    }
+    return picked;
+}
+
+// picks up to `size` instances, probing /api/v1/config (concurrently) for the ones we have never talked to
+// and replacing those that fail, for at most three rounds
+function pickHomeInstances(pool, size, randomize) {
+    const remaining = pool.slice();
+    const picked = [];
+    for (let round = 0; round < 3 && picked.length < size && remaining.length; round++) {
+        const need = size - picked.length;
+        const batch = randomize ? weightedSampleInstances(remaining, need) : remaining.slice(0, need);
+        for (const c of batch) remaining.splice(remaining.indexOf(c), 1);
+        const unknown = batch.filter(c => !(state.hostHealth && state.hostHealth[c]));
+        const probed = unknown.length ? checkInstancesHealth(unknown) : [];
+        for (const c of batch) {
+            const k = unknown.indexOf(c);
+            if (k === -1 || probed[k]) picked.push(c);
+        }
+    }
+    return picked;
+}
+
+// ---------------------- getHome: sample healthy instances, skip unhealthy quickly ----------------------
+source.getHome = function (continuationToken) {
+    try {
+        // refresh settings
+        parseSettings(plugin?.settings || {});
+
+        // logged-in users can get their instance's subscriptions feed instead of the sampled one
+        if (_settings.homeSubscriptions) {
+            const account = accountBase();
+            if (account) return new PeerTubeVideoListPager(account, '/api/v1/users/me/subscriptions/videos', { sort: '-publishedAt' }, 0, 20);
+        }
+        // ...and anyone can get the merged feed of their local subscriptions
+        if (_settings.homeLocalSubscriptions && state.subscriptions.length) return getLocalSubscriptionsFeed();
+
+        // build candidate pool and filter out currently-unhealthy hosts; discovered instances only join random sampling
+        const rawList = (_settings.instancesList || ['https://peertube.futo.org']).slice();
+        if (_settings.randomizeInstances && _settings.discoverInstances) {
+            for (const d of getDiscoveredInstances()) if (rawList.indexOf(d) === -1) rawList.push(d);
+        }
+        const healthyCandidates = [];
+        for (const candidate of rawList) {
+            if (isHostCurrentlyUnhealthy(candidate)) {
+                logSafe(`[getHome] skipping candidate (cached unhealthy): ${candidate}`);
+                continue;
+            }
+            if (isInstanceBlocked(candidate)) continue;
+            // quick local validation - reject obviously invalid URLs
+            try { new URL(candidate); } catch (e) { logSafe(`[getHome] skipping invalid candidate: ${candidate}`); continue; }
+            if (!getConfiguredInstanceForUrl(candidate) && !instanceServesPreferredLanguages(candidate)) {
+                logSafe(`[getHome] skipping discovered candidate (no preferred language declared): ${candidate}`);
+                continue;
+            }
+            healthyCandidates.push(candidate);
+        }
+
+        // random sample if requested (weighted towards fast and reliable instances); never-seen instances are probed first
+        let candidatesToTry = pickHomeInstances(healthyCandidates, _settings.instanceSampleSize || 3, _settings.randomizeInstances);
+
+        // if none healthy, fall back to first configured list but still try once (prevents empty feed)
+        if (!candidatesToTry.length) candidatesToTry = rawList.slice(0, 3);
+        // the directory only lists PeerTube instances, so links into sampled ones need no verification later
+        for (const base of candidatesToTry) if (!getConfiguredInstanceForUrl(base)) rememberPeerTubeInstance(base);
+
+        logSafe(`[getHome] trying instances: ${candidatesToTry.join(', ')}`);
+
+        const homeParams = homeFeedParams();
+        ensureInstanceConfigs(candidatesToTry);
+        const sources = [];
+        for (const base of candidatesToTry) {
+            const cfg = getInstanceConfig(base, true);
+            // lives cannot exist where live streaming is disabled
+            if (homeParams.isLive && cfg && !cfg.liveEnabled) continue;
+            // nor category feeds on instances that declare none of the categories
+            if (homeParams.categoryOneOf && cfg && cfg.categories.length && !homeParams.categoryOneOf.some(c => cfg.categories.indexOf(c) !== -1)) continue;
+            const params = applyNsfwParam(Object.assign({}, homeParams), base);
+            sources.push(createInstanceFeedSource(base, '/api/v1/videos', params));
+        }
+        const pager = new PeerTubeAggregatePager(createAggregateContext(sources, {
+            tag: 'getHome',
+            batchSize: 30,
+            pageSize: 20,
+            feedRules: true,
+            merge: FEED_MERGE_MODES[_settings.feedMergeMode] || 'roundRobin',
+            weights: _settings.feedRankWeights
+        }));
+        if (pager.results.length) return pager;
+
+        // Final fallback: if we still have no items, try the primary baseUrl once more but do not loop forever
+        const aggregated = [];
+        if (_settings.instancesList && _settings.instancesList.length) {
+            try {
+                const primary = _settings.instancesList[0];
+                if (!isHostCurrentlyUnhealthy(primary)) {
+                    const res = safeHttpGet(`${primary}/api/v1/videos?${buildQueryString(Object.assign(applyNsfwParam(homeFeedParams(), primary), { start: 0, count: 10 }))}`);
+                    if (res && res.isOk) {
+                        let body = null;
+                        try { body = JSON.parse(res.body); } catch (e) { body = null; }
+                        if (body && body.data) {
+                            for (const v of body.data) {
+                                if (!v || !v.uuid || isUnplayableLive(v) || isVideoFilteredOut(v, primary)) continue;
+                                const built = buildPlatformVideoFromPeerTube(v, primary);
+                                ensureContentType(built);
+                                aggregated.push(built);
+                                recordSeenImpression(v.uuid);
+                                if (aggregated.length >= 10) break;
+                            }
+                        }
+                    }
+                }
+            } catch (e) {}
+        }
+
+        return new VideoPager(aggregated, false, {});
+    } catch (err) {
+        logSafe('[getHome] fatal: ' + err);
+        return new VideoPager([], false, {});
+    }
+};
+
+// ---------------------- search index (Sepia Search) ----------------------
+const SEARCH_INDEX_MODE_INSTANCES = 0;
+const SEARCH_INDEX_MODE_INDEX = 1;
+const SEARCH_INDEX_MODE_BOTH = 2;
+
+// the origin instance of a federated object, from its canonical url or its actor's host
+function originBaseForItem(item) {
+    try {
+        if (item && item.url) { const u = new URL(item.url); return `${u.protocol}//${u.host}`; }
+    } catch (e) {}
+    const host = item?.channel?.host || item?.videoChannel?.host || item?.account?.host || item?.ownerAccount?.host || item?.host;
+    return host ? `https://${host}` : null;
+}
+
+// search sources for `path` according to the search index setting; index results carry their own origin
+function buildSearchSources(path, params, tag) {
+    const sources = [];
+    const mode = _settings.searchIndexMode || SEARCH_INDEX_MODE_INSTANCES;
+    let indexUrl = _settings.searchIndexUrl;
+    if (!indexUrl && mode !== SEARCH_INDEX_MODE_INSTANCES) {
+        // no index configured: use the one the primary instance advertises, if any
+        const primaryCfg = getInstanceConfig((_settings.instancesList || [])[0]);
+        indexUrl = (primaryCfg && primaryCfg.searchIndexUrl) || '';
+    }
+    // URL / handle lookups: instances that may fetch remote objects go first, the rest still answer from what they know
+    const remoteLookup = !!params.search && /^(https?:\/\/|@?[^\s@]+@[^\s@]+\.[^\s@]+$)/i.test(String(params.search).trim());
+    if (indexUrl && mode !== SEARCH_INDEX_MODE_INSTANCES) {
+        if (isHostCurrentlyUnhealthy(indexUrl)) logSafe(`[${tag}] skipping unhealthy search index ${indexUrl}`);
+        else {
+            const src = createInstanceFeedSource(indexUrl, path, path === '/api/v1/search/videos' ? applyNsfwParam(Object.assign({}, params), null) : params);
+            src.originFromItem = true;
+            sources.push(src);
+        }
+    }
+    if (!indexUrl || mode !== SEARCH_INDEX_MODE_INDEX || !sources.length) {
+        let bases = _settings.instancesList || ['https://peertube.futo.org'];
+        if (remoteLookup) bases = bases.filter(instanceAllowsRemoteSearch).concat(bases.filter(b => !instanceAllowsRemoteSearch(b)));
+        for (const base of bases) {
+            if (isHostCurrentlyUnhealthy(base)) { logSafe(`[${tag}] skipping unhealthy ${base}`); continue; }
+            if (isInstanceBlocked(base)) continue;
+            sources.push(createInstanceFeedSource(base, path, path === '/api/v1/search/videos' ? applyNsfwParam(Object.assign({}, params), base) : params));
+        }
+    }
+    return sources;
+}
+
+// base URL that items from `src` should be built against
+function itemBaseForSource(src, item) {
+    return (src.originFromItem && originBaseForItem(item)) || src.base;
+}
+
+// one page of channel/playlist search results: up to `count` per source, deduped by `keyOf`, minus muted/blocked owners (`ownerOf`)
+function collectSearchResultPage(ctx, buildItem, keyOf, ownerOf) {
+    const items = [];
+    refillInstanceFeedSources(ctx.sources, ctx.count, ctx.tag);
+    for (const src of ctx.sources) {
+        let taken = 0;
+        while (src.pending.length && taken < ctx.count) {
+            const raw = src.pending.shift();
+            if (!raw) continue;
+            const key = keyOf(raw);
+            if (!key || ctx.emitted[key]) continue;
+            const base = itemBaseForSource(src, raw);
+            const owners = ownerOf(raw).filter(Boolean);
+            let baseHost = '';
+            try { baseHost = new URL(base).host; } catch (e) {}
+            if (owners.some(o => isActorMuted(o, baseHost) || (o.host && isInstanceBlocked(o.host)))) continue;
+            ctx.emitted[key] = true;
+            try { items.push(buildItem(raw, base)); taken++; }
+            catch (e) { logSafe(`[${ctx.tag}] build failed: ${e}`); }
+        }
+    }
+    return items;
+}
+
+class PeerTubeChannelSearchPager extends ChannelPager {
+    constructor(sources, count, ctx) {
+        ctx = ctx || { sources: sources, count: count, tag: 'searchChannels', emitted: {} };
+        const items = collectSearchResultPage(ctx,
+            (actor, base) => buildPlatformChannelFromPeerTube(actor, channelRefForActor(actor, base)),
+            actor => actor.name ? `${actor.name}@${actor.host || ''}` : null,
+            actor => [actor, actor.ownerAccount]);
+        super(items, aggregateHasMore(ctx), ctx);
+    }
+
+    nextPage() {
+        return new PeerTubeChannelSearchPager(null, 0, this.context);
+    }
+}
+
+class PeerTubePlaylistListPager extends PlaylistPager {
+    constructor(sources, count, tag, ctx) {
+        ctx = ctx || { sources: sources, count: count, tag: tag, emitted: {} };
+        const items = collectSearchResultPage(ctx, buildPlatformPlaylistFromPeerTube, p => p.uuid || null, p => [p.videoChannel, p.ownerAccount]);
+        super(items, aggregateHasMore(ctx), ctx);
+    }
+
+    nextPage() {
+        return new PeerTubePlaylistListPager(null, 0, null, this.context);
+    }
+}
+
+// ---------------------- search capabilities & query mapping ----------------------
+const SEARCH_SORTS = {
+    'Relevance': '-match',
+    'Newest': '-publishedAt',
+    'Most viewed': '-views',
+    'Most liked': '-likes'
+};
+const SEARCH_DURATIONS = {
+    short: { durationMax: 4 * 60 },
+    medium: { durationMin: 4 * 60, durationMax: 20 * 60 },
+    long: { durationMin: 20 * 60 }
+};
+const SEARCH_PUBLISH_WINDOWS_DAYS = { today: 1, week: 7, month: 31, year: 365 };
+const SEARCH_LANGUAGES = { en: 'English', fr: 'French', de: 'German', es: 'Spanish', it: 'Italian', nl: 'Dutch', pt: 'Portuguese', ru: 'Russian', ja: 'Japanese', zh: 'Chinese' };
+const SEARCH_CATEGORIES = {
+    1: 'Music', 2: 'Films', 3: 'Vehicles', 4: 'Art', 5: 'Sports', 6: 'Travels', 7: 'Gaming', 8: 'People', 9: 'Comedy',
+    10: 'Entertainment', 11: 'News & Politics', 12: 'How To', 13: 'Education', 14: 'Activism', 15: 'Science & Technology',
+    16: 'Animals', 17: 'Kids', 18: 'Food'
+};
+const SEARCH_LICENCES = { 1: 'CC BY', 2: 'CC BY-SA', 3: 'CC BY-ND', 4: 'CC BY-NC', 5: 'CC BY-NC-SA', 6: 'CC BY-NC-ND', 7: 'Public Domain' };
+
+function buildFilterGroup(name, id, options, isMultiSelect) {
+    const FilterGroupClass = (typeof FilterGroup !== 'undefined') ? FilterGroup : null;
+    const FilterCapabilityClass = (typeof FilterCapability !== 'undefined') ? FilterCapability : null;
+    const caps = Object.keys(options).map(value => FilterCapabilityClass
+        ? new FilterCapabilityClass(options[value], value, value)
+        : { name: options[value], value: value, id: value });
+    return FilterGroupClass ? new FilterGroupClass(name, caps, isMultiSelect, id) : { name: name, filters: caps, isMultiSelect: isMultiSelect, id: id };
+}
+
+source.getSearchCapabilities = function () {
+    return {
+        types: [Type.Feed.Mixed],
+        sorts: [Type.Order.Chronological].concat(Object.keys(SEARCH_SORTS).filter(k => k !== 'Newest')),
+        filters: [
+            buildFilterGroup('Duration', 'duration', { short: 'Under 4 minutes', medium: '4-20 minutes', long: 'Over 20 minutes' }, false),
+            buildFilterGroup('Upload date', 'date', { today: 'Today', week: 'This week', month: 'This month', year: 'This year' }, false),
+            buildFilterGroup('Live', 'live', { live: 'Live only' }, false),
+            buildFilterGroup('Language', 'language', SEARCH_LANGUAGES, true),
+            buildFilterGroup('Category', 'category', SEARCH_CATEGORIES, true),
+            buildFilterGroup('Licence', 'licence', SEARCH_LICENCES, true),
+            buildFilterGroup('Sensitive content', 'nsfw', { false: 'Hide NSFW', true: 'Only NSFW', both: 'Show all' }, false)
+        ]
+    };
+};
+
+// translate the app's search order/filters into /api/v1/search/videos parameters
+function buildVideoSearchParams(query, type, order, filters) {
+    const params = { search: query };
+    const first = (id) => (filters && Array.isArray(filters[id]) && filters[id].length) ? String(filters[id][0]) : null;
+    const all = (id) => (filters && Array.isArray(filters[id])) ? filters[id].map(String) : [];
+
+    if (order === Type.Order.Chronological) params.sort = '-publishedAt';
+    else if (order && SEARCH_SORTS[order]) params.sort = SEARCH_SORTS[order];
+
+    const duration = SEARCH_DURATIONS[first('duration')];
+    if (duration) Object.assign(params, duration);
+
+    const days = SEARCH_PUBLISH_WINDOWS_DAYS[first('date')];
+    if (days) params.startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    if (first('live') === 'live' || type === Type.Feed.Live || type === Type.Feed.Streams) params.isLive = true;
+
+    const languages = all('language');
+    if (languages.length) params.languageOneOf = languages;
+    const categories = all('category').map(c => parseInt(c, 10)).filter(n => !isNaN(n));
+    if (categories.length) params.categoryOneOf = categories;
+    const licences = all('licence').map(c => parseInt(c, 10)).filter(n => !isNaN(n));
+    if (licences.length) params.licenceOneOf = licences;
+
+    const nsfw = first('nsfw');
+    if (nsfw === 'true' || nsfw === 'false' || nsfw === 'both') params.nsfw = nsfw;
+    return params;
+}
+
+// ---------------------- search (paged across instances, respects unhealthy cache) ----------------------
+source.search = function (query, type, order, filters) {
+    try {
+        parseSettings(plugin?.settings || {});
+        const params = buildVideoSearchParams(query, type, order, filters);
+        return new PeerTubeAggregatePager(createAggregateContext(buildSearchSources('/api/v1/search/videos', params, 'search'), {
+            tag: 'search',
+            batchSize: 20,
+            perSourceLimit: 20,
+            feedRules: false,
+            nsfwPolicy: searchNsfwPolicy(params.nsfw)
+        }));
+    } catch (e) {
+        logSafe('[search] error: ' + e);
+        return new VideoPager([], false, {});
+    }
+};
+
+source.searchChannels = function (query) {
+    try {
+        parseSettings(plugin?.settings || {});
+        const sources = buildSearchSources('/api/v1/search/video-channels', { search: query }, 'searchChannels');
+        return new PeerTubeChannelSearchPager(sources, 20);
+    } catch (e) {
+        logSafe('[searchChannels] error: ' + e);
+        return new ChannelPager([], false, {});
+    }
+};
+
+source.searchPlaylists = function (query, type, order, filters) {
+    try {
+        parseSettings(plugin?.settings || {});
+        const sources = buildSearchSources('/api/v1/search/video-playlists', { search: query }, 'searchPlaylists');
+        return new PeerTubePlaylistListPager(sources, 20, 'searchPlaylists');
+    } catch (e) {
+        logSafe('[searchPlaylists] error: ' + e);
+        return new PlaylistPager([], false, {});
+    }
+};
+
+// ---------------------- remote objects through our own instances ----------------------
+// An instance that allows remote URI search fetches a federated object it has never seen when searched for by
+// URL (or, for channels, by name@host). We use that to open links whose origin is slow, down or region-blocked.
+const REMOTE_LOOKUP_PATHS = {
+    video: '/api/v1/search/videos',
+    channel: '/api/v1/search/video-channels',
+    playlist: '/api/v1/search/video-playlists'
+};
+const REMOTE_LOOKUP_TTL_MS = 60 * 60 * 1000;
+const REMOTE_LOOKUP_MAX_ENTRIES = 100;
+const REMOTE_LOOKUP_MIRRORS = 3;
+const remoteLookups = new Map(); // "<kind> <query>" -> { at, found: { base, item } | null }
+
+function remoteLookupQuery(ref) {
+    if (ref.kind === 'video') return `${ref.base}/videos/watch/${ref.id}`;
+    if (ref.kind === 'playlist') return `${ref.base}/video-playlists/${ref.id}`;
+    if (ref.kind === 'channel') return ref.handle.indexOf('@') === -1 ? `${ref.handle}@${new URL(ref.base).host}` : ref.handle;
+    return null;
+}
+
+// { base: mirror, item } from the first configured instance (other than the origin) that resolves `ref`, or null;
+// misses are remembered too. Only meant for origins that are unreachable or refuse us.
+function resolveThroughMirror(ref) {
+    try {
+        if (!ref || isInstanceBlocked(ref.base) || isKnownNotPeerTube(ref.base)) return null;
+        const path = REMOTE_LOOKUP_PATHS[ref.kind];
+        const query = path ? remoteLookupQuery(ref) : null;
+        if (!query) return null;
+        const key = `${ref.kind} ${query}`;
+        const cached = remoteLookups.get(key);
+        if (cached && (Date.now() - cached.at) < REMOTE_LOOKUP_TTL_MS) return cached.found;
+
+        const mirrors = (_settings.instancesList || []).filter(b => originOf(b) !== originOf(ref.base) && !isHostCurrentlyUnhealthy(b) && !isInstanceBlocked(b));
+        ensureInstanceConfigs(mirrors);
+        // instances without remote lookups still answer for objects they already federated, so they are asked last
+        const candidates = mirrors.filter(instanceAllowsRemoteSearch).concat(mirrors.filter(b => !instanceAllowsRemoteSearch(b))).slice(0, REMOTE_LOOKUP_MIRRORS);
+        const responses = safeHttpBatch(candidates.map(b => ({ url: `${b}${path}?${buildQueryString({ search: query, start: 0, count: 1 })}` })));
+        let found = null;
+        candidates.forEach((b, i) => {
+            const res = responses[i];
+            if (found || !res || !res.isOk) return;
+            try {
+                const body = JSON.parse(res.body);
+                const item = body && Array.isArray(body.data) ? body.data[0] : null;
+                if (item) found = { base: b, item: item };
+            } catch (e) {}
+        });
+        remoteLookups.delete(key);
+        remoteLookups.set(key, { at: Date.now(), found: found });
+        while (remoteLookups.size > REMOTE_LOOKUP_MAX_ENTRIES) remoteLookups.delete(remoteLookups.keys().next().value);
+        logSafe(`[resolveThroughMirror] ${key}: ${found ? 'resolved by ' + found.base : 'not found'}`);
+        return found;
+    } catch (e) {
+        logSafe('[resolveThroughMirror] ' + e);
+        return null;
+    }
+}
+
+function mirrorAttribution(originBase, mirrorBase) {
+    const host = b => { try { return new URL(b).host; } catch (e) { return b; } };
+    return `Originally published on ${host(originBase)}, which could not be reached; shown via ${host(mirrorBase)}.`;
+}
+
+// ---------------------- getContentDetails (respects unhealthy cache) ----------------------
+source.isContentDetailsUrl = function (url) {
+    try {
+        return isVideoRef(claimPeerTubeUrl(url, ['video', 'playlist']));
+    } catch (e) {
+        return false;
+    }
+};
+
+// uuid of the video at 1-based `position` of a playlist
+function resolvePlaylistItemVideoId(base, playlistId, position) {
+    const res = safeHttpGet(`${base}/api/v1/video-playlists/${encodeURIComponent(playlistId)}/videos?${buildQueryString({ start: position - 1, count: 1 })}`);
+    if (!res || !res.isOk) { recordHostFailure(base, 'playlist_item_nonok', res && res.code); return null; }
+    const body = JSON.parse(res.body);
+    const element = body && Array.isArray(body.data) ? body.data[0] : null;
+    return (element && element.video && element.video.uuid) || null;
+}
+
+// { details } from `base`; on failure `failed` says whether another instance might still serve the video
+// (everything but "gone"). `attribution` is put in front of the description.
+function fetchVideoDetails(base, ref, attribution) {
+    try {
+        const id = ref.id || (ref.playlistId ? resolvePlaylistItemVideoId(base, ref.playlistId, ref.position) : null);
+        if (!id) return { details: null, failed: !!ref.playlistId };
+        const res = safeHttpGet(`${base}/api/v1/videos/${id}`);
+        if (!res || !res.isOk) {
+            recordHostFailure(base, 'details_nonok', res && res.code);
+            return { details: null, failed: !res || (res.code !== 404 && res.code !== 410) };
+        }
+        let body;
+        try { body = JSON.parse(res.body); } catch (e) { recordHostFailure(base, 'details_parse_err'); return { details: null, failed: true }; }
+        // a mirror's copy of a video from a blocked instance is not shown either
+        if (isInstanceBlocked(videoOriginBase(body, base))) return { details: null, failed: false };
+        applyVideoFileToken(body, base);
+        rememberOpenedVideo(id, body, base);
+        rememberOpenedVideo(body.uuid, body, base);
+        if (attribution) body.description = attribution + (body.description ? '\n\n' + body.description : '');
+        const subtitles = fetchVideoCaptions(base, body.uuid || id);
+        const storyboards = fetchVideoStoryboards(base, body.uuid || id);
+        return { details: buildPlatformVideoDetailsFromPeerTube(body, base, subtitles, ref.start, storyboards), failed: false };
+    } catch (e) {
+        logSafe(`[fetchVideoDetails] ${base} ${ref.id || ref.playlistId}: ${e}`);
+        return { details: null, failed: true };
+    }
+}
+
+source.getContentDetails = function (url) {
+    try {
+        if (!url) return null;
+        const ref = parseVideoUrlRef(url);
+        if ((!ref.id && !ref.playlistId) || isRefBlocked(ref)) return null;
+        if (!isHostCurrentlyUnhealthy(ref.base)) {
+            const direct = fetchVideoDetails(ref.base, ref);
+            if (direct.details || !direct.failed) return direct.details;
+        } else {
+            logSafe(`[getContentDetails] ${ref.base} is unhealthy, trying a mirror`);
+        }
+        // the origin is down or refuses us: let one of our instances fetch the video over federation
+        const lookup = ref.playlistId ? { kind: 'playlist', base: ref.base, id: ref.playlistId } : { kind: 'video', base: ref.base, id: ref.id };
+        const mirror = resolveThroughMirror(lookup);
+        if (!mirror) return null;
+        const mirrorRef = ref.playlistId
+            ? { id: null, playlistId: mirror.item.uuid, position: ref.position, start: ref.start }
+            : { id: mirror.item.uuid, start: ref.start };
+        return fetchVideoDetails(mirror.base, mirrorRef, mirrorAttribution(ref.base, mirror.base)).details;
+    } catch (e) { return null; }
+};
+
+source.getContentChapters = function (url, initialData) {
+    try {
+        const ref = parseVideoUrlRef(url);
+        if (!ref.id || isRefBlocked(ref)) return [];
+        // the details were normally just fetched, from a mirror when the origin was unreachable; otherwise
+        // look the duration up for the last chapter's end
+        let opened = openedVideos.get(ref.id);
+        if (!opened && !isHostCurrentlyUnhealthy(ref.base)) {
+            const res = safeHttpGet(`${ref.base}/api/v1/videos/${ref.id}`);
+            if (res && res.isOk) { rememberOpenedVideo(ref.id, JSON.parse(res.body), ref.base); opened = openedVideos.get(ref.id); }
+        }
+        const base = (opened && opened.base) || ref.base;
+        if (isInstanceBlocked(base) || isHostCurrentlyUnhealthy(base)) return [];
+        return fetchVideoChapters(base, (opened && opened.uuid) || ref.id, (opened && opened.duration) || 0);
+    } catch (e) {
+        logSafe('[getContentChapters] error: ' + e);
+        return [];
+    }
+};
+
+// ---------------------- recommendations ----------------------
+const MAX_RECOMMENDATION_TAGS = 5; // PeerTube caps tagsOneOf at 5 entries
+
+// sources for videos related to `v` on `base`: same channel, same tags, same category and, when search goes
+// through an index, the same tags across the federation
+function buildRecommendationSources(v, base) {
+    const sources = [];
+    if (v.channel && v.channel.name) {
+        const ref = channelRefForActor(v.channel, base);
+        sources.push(createInstanceFeedSource(base, `${channelApiPath(ref)}/videos`, applyNsfwParam({ sort: '-publishedAt' }, base)));
+    }
+    const tags = (Array.isArray(v.tags) ? v.tags : []).filter(Boolean).slice(0, MAX_RECOMMENDATION_TAGS);
+    if (tags.length) sources.push(createInstanceFeedSource(base, '/api/v1/videos', applyNsfwParam({ tagsOneOf: tags, sort: '-trending' }, base)));
+    const categoryId = v.category && typeof v.category === 'object' ? v.category.id : v.category;
+    if (categoryId) sources.push(createInstanceFeedSource(base, '/api/v1/videos', applyNsfwParam({ categoryOneOf: categoryId, sort: '-trending' }, base)));
+
+    if ((_settings.searchIndexMode || SEARCH_INDEX_MODE_INSTANCES) !== SEARCH_INDEX_MODE_INSTANCES && (tags.length || categoryId)) {
+        const params = tags.length ? { tagsOneOf: tags } : { categoryOneOf: categoryId };
+        for (const src of buildSearchSources('/api/v1/search/videos', Object.assign(params, { sort: '-publishedAt' }), 'getContentRecommendations')) {
+            if (src.originFromItem) sources.push(src);
+        }
+    }
+    return sources;
+}
+
+// { v, base } to build recommendations from: the video in `initialData` (a PeerTube video object, or the details
+// we built, which getContentDetails remembered), else fetched again; null when it cannot be had
+function recommendationSeed(ref, initialData) {
+    if (initialData && initialData.uuid && (initialData.channel || Array.isArray(initialData.tags))) return { v: initialData, base: ref.base };
+    const opened = openedVideos.get(initialData?.id?.value) || openedVideos.get(ref.id);
+    if (opened && opened.base) return { v: opened, base: opened.base };
+    if (isHostCurrentlyUnhealthy(ref.base)) return null;
+    const res = safeHttpGet(`${ref.base}/api/v1/videos/${ref.id}`);
+    if (!res || !res.isOk) { recordHostFailure(ref.base, 'recommendations_nonok', res && res.code); return null; }
+    return { v: JSON.parse(res.body), base: ref.base };
+}
+
+source.getContentRecommendations = function (url, initialData) {
+    try {
+        parseSettings(plugin?.settings || {});
+        const ref = parseVideoUrlRef(url);
+        if (!ref.id || isInstanceBlocked(ref.base)) return new VideoPager([], false, {});
+        const seed = recommendationSeed(ref, initialData);
+        if (!seed) return new VideoPager([], false, {});
+        const ctx = createAggregateContext(buildRecommendationSources(seed.v, seed.base), {
+            tag: 'getContentRecommendations',
+            batchSize: 20,
+            pageSize: 20,
+            feedRules: true,
+            recordSeen: false, // opening a video must not hide its neighbours from Home
+            merge: 'roundRobin'
+        });
+        ctx.emitted[seed.v.uuid] = true; // never recommend the video being watched
+        return new PeerTubeAggregatePager(ctx);
+    } catch (e) {
+        logSafe('[getContentRecommendations] error: ' + e);
+        return new VideoPager([], false, {});
+    }
+};
+
+// ---------------------- comments ----------------------
+const COMMENT_SORTS = ['-createdAt', 'createdAt', '-totalReplies'];
+
+function buildPlatformCommentFromPeerTube(c, videoUrl, ref, replyCount) {
+    const PlatformCommentClass = (typeof PlatformComment !== 'undefined') ? PlatformComment : null;
+    const RatingLikesClass = (typeof RatingLikes !== 'undefined') ? RatingLikes : null;
+    const fields = {
+        contextUrl: videoUrl,
+        author: buildChannelAuthorLink({ account: c.account || {} }, ref.base),
+        message: c.isDeleted ? '[deleted]' : (c.text || ''),
+        rating: RatingLikesClass ? new RatingLikesClass(0) : { type: 1, likes: 0 },
+        date: Math.round((new Date(c.createdAt || Date.now())).getTime() / 1000),
+        replyCount: replyCount || 0,
+        context: { base: ref.base, videoId: ref.id, threadId: String(c.threadId || c.id), commentId: String(c.id) }
+    };
+    return PlatformCommentClass ? new PlatformCommentClass(fields) : fields;
+}
+
+class PeerTubeCommentPager extends CommentPager {
+    constructor(videoUrl, ref, start, count) {
+        let comments = [];
+        let hasMore = false;
+        try {
+            const query = buildQueryString({ start: start, count: count, sort: COMMENT_SORTS[_settings.commentSort || 0] || '-createdAt' });
+            const res = safeHttpGet(`${ref.base}/api/v1/videos/${ref.id}/comment-threads?${query}`);
+            if (!res || !res.isOk) {
+                recordHostFailure(ref.base, 'comments_nonok', res && res.code);
+            } else {
+                const body = JSON.parse(res.body);
+                const data = (body && Array.isArray(body.data)) ? body.data : [];
+                for (const c of data) {
+                    // deleted threads are only worth showing when they still carry replies
+                    if (c.isDeleted && !c.totalReplies) continue;
+                    comments.push(buildPlatformCommentFromPeerTube(c, videoUrl, ref, c.totalReplies));
+                }
+                hasMore = data.length > 0 && (start + data.length) < (body.total || 0);
+            }
+        } catch (e) {
+            logSafe(`[PeerTubeCommentPager] ${ref.base} ${ref.id}: ${e}`);
+        }
+        super(comments, hasMore, { videoUrl: videoUrl, ref: ref, start: start, count: count });
+    }
+
+    nextPage() {
+        const c = this.context;
+        return new PeerTubeCommentPager(c.videoUrl, c.ref, c.start + c.count, c.count);
+    }
+}
+
+// depth-first lookup of a comment node inside a /comment-threads/{id} tree
+function findCommentThreadNode(node, commentId) {
+    if (!node) return null;
+    if (node.comment && String(node.comment.id) === commentId) return node;
+    for (const child of (node.children || [])) {
+        const found = findCommentThreadNode(child, commentId);
+        if (found) return found;
+    }
+    return null;
+}
+
+source.getComments = function (url) {
+    try {
+        const ref = parseVideoUrlRef(url);
+        if (!ref.id || isRefBlocked(ref) || isHostCurrentlyUnhealthy(ref.base)) return new CommentPager([], false, {});
+        return new PeerTubeCommentPager(url, ref, 0, 20);
+    } catch (e) {
+        logSafe('[getComments] error: ' + e);
+        return new CommentPager([], false, {});
+    }
+};
+
+source.getSubComments = function (comment) {
+    try {
+        const ctx = comment && comment.context;
+        if (!ctx || !ctx.base || !ctx.videoId || !ctx.threadId) return new CommentPager([], false, {});
+        if (isHostCurrentlyUnhealthy(ctx.base)) return new CommentPager([], false, {});
+        const res = safeHttpGet(`${ctx.base}/api/v1/videos/${ctx.videoId}/comment-threads/${ctx.threadId}`);
+        if (!res || !res.isOk) {
+            recordHostFailure(ctx.base, 'subcomments_nonok', res && res.code);
+            return new CommentPager([], false, {});
+        }
+        // the thread endpoint returns the whole reply tree, so nested replies are served from the same response
+        const node = findCommentThreadNode(JSON.parse(res.body), ctx.commentId);
+        const ref = { base: ctx.base, id: ctx.videoId };
+        const replies = [];
+        for (const child of ((node && node.children) || [])) {
+            if (!child || !child.comment) continue;
+            const childReplies = Array.isArray(child.children) ? child.children.length : 0;
+            if (child.comment.isDeleted && !childReplies) continue;
+            replies.push(buildPlatformCommentFromPeerTube(child.comment, comment.contextUrl, ref, childReplies));
+        }
+        return new CommentPager(replies, false, {});
+    } catch (e) {
+        logSafe('[getSubComments] error: ' + e);
+        return new CommentPager([], false, {});
+    }
+};
+
+// ---------------------- channels & accounts ----------------------
+// { base, kind: 'channel' | 'account', handle } for channel/account URLs on a PeerTube instance
+function parseChannelUrl(url) {
+    try {
+        if (!url) return null;
+        const ref = claimPeerTubeUrl(url, ['channel', 'account']);
+        return ref ? { base: ref.base, kind: ref.kind, handle: ref.handle } : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function channelApiPath(ref) {
+    return `/api/v1/${ref.kind === 'account' ? 'accounts' : 'video-channels'}/${encodeURIComponent(ref.handle)}`;
+}
+
+// PeerTube >= 4 exposes `banners`; older servers a single `banner`
+function pickActorBannerUrl(actor, instanceBaseUrl) {
+    try {
+        const banners = Array.isArray(actor.banners) ? actor.banners.slice() : [];
+        if (!banners.length && actor.banner) banners.push(actor.banner);
+        if (!banners.length) return null;
+        banners.sort((a, b) => (b.width || 0) - (a.width || 0));
+        return banners[0].fileUrl || absoluteInstanceUrl(banners[0].path, instanceBaseUrl) || null;
+    } catch (e) { return null; }
+}
+
+function buildPlatformChannelFromPeerTube(actor, ref) {
+    const configId = (typeof plugin !== 'undefined' && plugin.id) ? plugin.id : FALLBACK_CONFIG_ID;
+    const PlatformIDClass = (typeof PlatformID !== 'undefined') ? PlatformID : null;
+    const PlatformChannelClass = (typeof PlatformChannel !== 'undefined') ? PlatformChannel : null;
+    const fullHandle = actor.host ? `${actor.name}@${actor.host}` : (actor.name || ref.handle);
+    const url = `${ref.base}/${ref.kind === 'account' ? 'a' : 'c'}/${ref.handle}`;
+    const links = {};
+    if (actor.support) links['Support'] = actor.support;
+    if (actor.ownerAccount && actor.ownerAccount.url) links['Account'] = actor.ownerAccount.url;
+    const fields = {
+        id: PlatformIDClass ? new PlatformIDClass(PLATFORM, fullHandle, configId) : { platform: PLATFORM, value: fullHandle, owner: configId },
+        name: actor.displayName || actor.name || ref.handle,
+        thumbnail: pickActorAvatarUrl(actor, ref.base),
+        banner: pickActorBannerUrl(actor, ref.base),
+        subscribers: actor.followersCount || 0,
+        description: actor.description || '',
+        url: url,
+        urlAlternatives: actor.url && actor.url !== url ? [url, actor.url] : [url],
+        links: links
+    };
+    return PlatformChannelClass ? new PlatformChannelClass(fields) : fields;
+}
+
+// channel ref as seen from `base`; remote channels keep their name@host handle
+function channelRefForActor(actor, base) {
+    let baseHost = '';
+    try { baseHost = new URL(base).host; } catch (e) {}
+    const handle = (actor.host && actor.host !== baseHost) ? `${actor.name}@${actor.host}` : actor.name;
+    return { base: base, kind: 'channel', handle: handle };
+}
+
+// `ref` itself while its instance is healthy, otherwise the same channel as seen from a mirror (null if none knows it
+// or the channel is on a blocked instance)
+function channelRefOrMirror(ref) {
+    if (!ref || isRefBlocked(ref)) return null;
+    if (!isHostCurrentlyUnhealthy(ref.base)) return ref;
+    const mirror = ref.kind === 'channel' ? resolveThroughMirror(ref) : null;
+    return mirror ? channelRefForActor(mirror.item, mirror.base) : null;
+}
+
+source.isChannelUrl = function (url) {
+    return !!parseChannelUrl(url) || !!parseVirtualFeedUrl(url);
+};
+
+source.getChannel = function (url) {
+    try {
+        const feed = parseVirtualFeedUrl(url);
+        if (feed) return buildVirtualFeedChannel(feed);
+        const ref = parseChannelUrl(url);
+        if (!ref || isRefBlocked(ref)) return null;
+        if (!isHostCurrentlyUnhealthy(ref.base)) {
+            const res = safeHttpGet(`${ref.base}${channelApiPath(ref)}`);
+            if (res && res.isOk) return buildPlatformChannelFromPeerTube(JSON.parse(res.body), ref);
+            recordHostFailure(ref.base, 'channel_nonok', res && res.code);
+            if (res && (res.code === 404 || res.code === 410)) return null;
+        }
+        const mirror = ref.kind === 'channel' ? resolveThroughMirror(ref) : null;
+        if (!mirror) return null;
+        const actor = Object.assign({}, mirror.item);
+        actor.description = mirrorAttribution(ref.base, mirror.base) + (actor.description ? '\n\n' + actor.description : '');
+        return buildPlatformChannelFromPeerTube(actor, channelRefForActor(mirror.item, mirror.base));
+    } catch (e) {
+        logSafe('[getChannel] error: ' + e);
+        return null;
+    }
+};
+
+source.getChannelCapabilities = function () {
+    return { types: [Type.Feed.Videos, Type.Feed.Live], sorts: [Type.Order.Chronological], filters: [] };
+};
+
+source.getChannelContents = function (url, type, order, filters, continuationToken) {
+    try {
+        const feed = parseVirtualFeedUrl(url);
+        if (feed) return getVirtualFeedContents(feed, type);
+        const ref = channelRefOrMirror(parseChannelUrl(url));
+        if (!ref) return new VideoPager([], false, {});
+        const params = applyNsfwParam({ sort: '-publishedAt' }, ref.base);
+        if (type === Type.Feed.Live || type === Type.Feed.Streams) params.isLive = true;
+        return new PeerTubeVideoListPager(ref.base, `${channelApiPath(ref)}/videos`, params, 0, 20);
+    } catch (e) {
+        logSafe('[getChannelContents] error: ' + e);
+        return new VideoPager([], false, {});
+    }
+};
+
+// ---------------------- playlists ----------------------
+function buildPlatformPlaylistFromPeerTube(p, instanceBaseUrl) {
+    const configId = (typeof plugin !== 'undefined' && plugin.id) ? plugin.id : FALLBACK_CONFIG_ID;
+    const PlatformIDClass = (typeof PlatformID !== 'undefined') ? PlatformID : null;
+    const PlatformPlaylistClass = (typeof PlatformPlaylist !== 'undefined') ? PlatformPlaylist : null;
+    const fields = {
+        id: PlatformIDClass ? new PlatformIDClass(PLATFORM, p.uuid, configId) : { platform: PLATFORM, value: p.uuid, owner: configId },
+        name: p.displayName || '',
+        author: buildChannelAuthorLink({ channel: p.videoChannel || undefined, account: p.ownerAccount }, instanceBaseUrl),
+        thumbnail: p.thumbnailPath ? absoluteInstanceUrl(p.thumbnailPath, instanceBaseUrl) : null,
+        videoCount: p.videosLength || 0,
+        datetime: Math.round((new Date(p.createdAt || Date.now())).getTime() / 1000),
+        url: `${instanceBaseUrl}/w/p/${p.shortUUID || p.uuid}`
+    };
+    return PlatformPlaylistClass ? new PlatformPlaylistClass(fields) : fields;
+}
+
+// { base, id } for playlist URLs on a PeerTube instance
+function parsePlaylistUrl(url) {
+    try {
+        const ref = claimPeerTubeUrl(url, ['playlist']);
+        return ref ? { base: ref.base, id: ref.id } : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+source.isPlaylistUrl = function (url) {
+    return !!parsePlaylistUrl(url);
+};
+
+source.getPlaylist = function (url) {
+    try {
+        let ref = parsePlaylistUrl(url);
+        if (!ref || isRefBlocked(ref)) return null;
+        let p = null;
+        if (!isHostCurrentlyUnhealthy(ref.base)) {
+            const res = safeHttpGet(`${ref.base}/api/v1/video-playlists/${encodeURIComponent(ref.id)}`);
+            if (res && res.isOk) p = JSON.parse(res.body);
+            else {
+                recordHostFailure(ref.base, 'playlist_nonok', res && res.code);
+                if (res && (res.code === 404 || res.code === 410)) return null;
+            }
+        }
+        if (!p) {
+            const mirror = resolveThroughMirror({ kind: 'playlist', base: ref.base, id: ref.id });
+            if (!mirror) return null;
+            // the author link still names the owner as name@origin
+            p = mirror.item;
+            ref = { base: mirror.base, id: p.uuid };
+            logSafe(`[getPlaylist] ${ref.id} served via ${mirror.base}`);
+        }
+        const summary = buildPlatformPlaylistFromPeerTube(p, ref.base);
+        const contents = new PeerTubeVideoListPager(ref.base, `/api/v1/video-playlists/${encodeURIComponent(p.uuid || ref.id)}/videos`, {}, 0, 20);
+        const PlatformPlaylistDetailsClass = (typeof PlatformPlaylistDetails !== 'undefined') ? PlatformPlaylistDetails : null;
+        const fields = {
+            id: summary.id,
+            name: summary.name,
+            author: summary.author,
+            thumbnail: summary.thumbnail,
+            videoCount: summary.videoCount,
+            datetime: summary.datetime,
+            url: summary.url,
+            contents: contents
+        };
+        return PlatformPlaylistDetailsClass ? new PlatformPlaylistDetailsClass(fields) : fields;
+    } catch (e) {
+        logSafe('[getPlaylist] error: ' + e);
+        return null;
+    }
+};
+
+source.getChannelPlaylists = function (url) {
+    try {
+        const ref = channelRefOrMirror(parseChannelUrl(url));
+        if (!ref) return new PlaylistPager([], false, {});
+        const src = createInstanceFeedSource(ref.base, `${channelApiPath(ref)}/video-playlists`, { sort: '-updatedAt' });
+        return new PeerTubePlaylistListPager([src], 20, 'getChannelPlaylists');
+    } catch (e) {
+        logSafe('[getChannelPlaylists] error: ' + e);
+        return new PlaylistPager([], false, {});
+    }
+};
+
+// ---------------------- authentication (OAuth password grant) ----------------------
+// Logs in to the loginInstance setting with the instance's local OAuth client. Only what a refresh needs is
+// persisted (state.auth: { base, username, refreshToken, refreshExpiresAt }); the access token and the client
+// credentials stay in memory and are renewed from the refresh token, so the password is only needed once.
+const AUTH_RETRY_BACKOFF_MS = 10 * 60 * 1000;
+let session = null; // { accessToken, expiresAt, clientId, clientSecret } for state.auth
+let authRetryAfter = 0;
+let authInProgress = false;
+
+function formEncode(fields) {
+    return Object.keys(fields).map(k => `${encodeURIComponent(k)}=${encodeURIComponent(String(fields[k]))}`).join('&');
+}
+
+// the instance's public client credentials; they are the same for every user of that instance
+function fetchOAuthClient(base) {
+    const res = safeHttpRequest('GET', `${base}/api/v1/oauth-clients/local`, null, {});
+    if (!res || !res.isOk) throw new Error(`oauth-clients/local non-ok ${res && res.code ? res.code : 'nores'}`);
+    const body = JSON.parse(res.body);
+    if (!body || !body.client_id || !body.client_secret) throw new Error('oauth-clients/local returned no client');
+    return { clientId: body.client_id, clientSecret: body.client_secret };
+}
+
+// POST /api/v1/users/token; keeps the new access token in `session` and the refresh token in state.auth
+function requestAccessToken(base, client, grant) {
+    const fields = Object.assign({ client_id: client.clientId, client_secret: client.clientSecret }, grant);
+    const res = safeHttpRequest('POST', `${base}/api/v1/users/token`, formEncode(fields), { 'Content-Type': 'application/x-www-form-urlencoded' });
+    if (!res || !res.isOk) {
+        logSafe(`[requestAccessToken] ${grant.grant_type} failed on ${base}: ${res && res.code ? res.code : 'nores'}`);
+        return false;
+    }
+    const body = JSON.parse(res.body);
+    if (!body || !body.access_token) return false;
+    const now = Date.now();
+    session = {
+        accessToken: body.access_token,
+        expiresAt: now + (body.expires_in || 3600) * 1000,
+        clientId: client.clientId,
+        clientSecret: client.clientSecret
+    };
+    state.auth = {
+        base: base,
+        username: _settings.loginUsername,
+        refreshToken: body.refresh_token || grant.refresh_token || null,
+        refreshExpiresAt: body.refresh_token_expires_in ? now + body.refresh_token_expires_in * 1000 : 0
+    };
+    return true;
+}
+
+// a valid session for the configured login, refreshing or logging in when needed; null when anonymous
+function ensureAccessToken() {
+    const base = _settings.loginInstance;
+    if (!base || !_settings.loginUsername) {
+        if (state.auth) logSafe('[ensureAccessToken] login settings cleared, dropping the session');
+        state.auth = null;
+        session = null;
+        return null;
+    }
+    if (state.auth && (state.auth.base !== base || state.auth.username !== _settings.loginUsername)) { state.auth = null; session = null; }
+    const now = Date.now();
+    if (session && session.expiresAt - 60 * 1000 > now) return session;
+    if (authInProgress || now < authRetryAfter) return null;
+    authInProgress = true;
+    try {
+        const client = (session && session.clientId) ? session : fetchOAuthClient(base);
+        const auth = state.auth;
+        if (auth && auth.refreshToken && (!auth.refreshExpiresAt || auth.refreshExpiresAt > now)) {
+            if (requestAccessToken(base, client, { grant_type: 'refresh_token', refresh_token: auth.refreshToken })) return session;
+        }
+        if (_settings.loginPassword) {
+            const ok = requestAccessToken(base, client, {
+                grant_type: 'password',
+                response_type: 'code',
+                username: _settings.loginUsername,
+                password: _settings.loginPassword
+            });
+            if (ok) {
+                logSafe(`[ensureAccessToken] logged in to ${base} as ${_settings.loginUsername}`);
+                return session;
+            }
+        } else {
+            logSafe(`[ensureAccessToken] the session on ${base} ended, enter the password again to log in`);
+        }
+        state.auth = null;
+        session = null;
+    } catch (e) {
+        logSafe('[ensureAccessToken] login failed: ' + e);
+    } finally {
+        authInProgress = false;
+    }
+    authRetryAfter = now + AUTH_RETRY_BACKOFF_MS;
+    return null;
+}
+
+// origin of the instance the user is logged in to, null when anonymous
+function accountBase() {
+    try {
+        return ensureAccessToken() ? _settings.loginInstance : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function isAccountUrl(url) {
+    try {
+        return !!_settings.loginInstance && new URL(url).host.toLowerCase() === new URL(_settings.loginInstance).host.toLowerCase();
+    } catch (e) {
+        return false;
+    }
+}
+
+// Authorization header for requests to the login instance, {} for everything else
+function authHeadersFor(url) {
+    if (!isAccountUrl(url)) return {};
+    const current = ensureAccessToken();
+    return current ? { Authorization: `Bearer ${current.accessToken}` } : {};
+}
+
+// the access token was revoked or expired early: the next request refreshes it
+function onAuthRejected(url) {
+    if (!session) return;
+    session = null;
+    logSafe(`[auth] ${originOf(url)} rejected the access token, refreshing it`);
+}
+
+function isLoggedInTo(base) {
+    try {
+        return !!base && isAccountUrl(base) && !!ensureAccessToken();
+    } catch (e) { return false; }
+}
+
+// private/internal video files need a short-lived videoFileToken (PeerTube >= 5)
+const PRIVACY_PRIVATE = 3;
+const PRIVACY_INTERNAL = 4;
+
+function applyVideoFileToken(v, base) {
+    try {
+        const privacy = v?.privacy?.id;
+        if (privacy !== PRIVACY_PRIVATE && privacy !== PRIVACY_INTERNAL) return;
+        if (!isLoggedInTo(base) || !serverVersionAtLeast(base, '5.0.0', true)) return;
+        const res = safeHttpPost(`${base}/api/v1/videos/${v.uuid}/token`, '', {});
+        if (!res || !res.isOk) { logSafe(`[applyVideoFileToken] token request failed for ${v.uuid}`); return; }
+        const token = JSON.parse(res.body)?.files?.token;
+        if (!token) return;
+        const withToken = (u, extra) => u ? `${u}${u.indexOf('?') === -1 ? '?' : '&'}videoFileToken=${encodeURIComponent(token)}${extra || ''}` : u;
+        for (const pl of (v.streamingPlaylists || [])) {
+            // reinjectVideoFileToken makes the server add the token to the variant playlists and segments
+            pl.playlistUrl = withToken(pl.playlistUrl, '&reinjectVideoFileToken=true');
+            for (const f of (pl.files || [])) { f.fileUrl = withToken(f.fileUrl); f.fileDownloadUrl = withToken(f.fileDownloadUrl); }
+        }
+        for (const f of (v.files || [])) { f.fileUrl = withToken(f.fileUrl); f.fileDownloadUrl = withToken(f.fileDownloadUrl); }
+    } catch (e) {
+        logSafe('[applyVideoFileToken] ' + e);
+    }
+}
+
+source.getUserSubscriptions = function () {
+    try {
+        const account = accountBase();
+        const urls = state.subscriptions.map(localSubscriptionUrl);
+        if (!account) return urls;
+        for (let start = 0; start < 2000; start += 100) {
+            const res = safeHttpGet(`${account}/api/v1/users/me/subscriptions?start=${start}&count=100`);
+            if (!res || !res.isOk) break;
+            const body = JSON.parse(res.body);
+            const data = (body && Array.isArray(body.data)) ? body.data : [];
+            for (const ch of data) {
+                if (!ch || !ch.name) continue;
+                const ref = channelRefForActor(ch, account);
+                const url = `${account}/c/${ref.handle}`;
+                if (urls.indexOf(url) === -1) urls.push(url);
+            }
+            if (data.length < 100 || start + data.length >= (body.total || 0)) break;
+        }
+        return urls;
+    } catch (e) {
+        logSafe('[getUserSubscriptions] error: ' + e);
+        return [];
+    }
+};
+
+source.getUserHistory = function () {
+    try {
+        const account = accountBase();
+        if (!account) return new VideoPager([], false, {});
+        return new PeerTubeVideoListPager(account, '/api/v1/users/me/history/videos', {}, 0, 20);
+    } catch (e) {
+        logSafe('[getUserHistory] error: ' + e);
+        return new VideoPager([], false, {});
+    }
+};
+
+// ---------------------- local subscriptions (no account needed) ----------------------
+// state.subscriptions holds channels as { host, name } on their own instance; the feed pages every channel's
+// /video-channels/{name}/videos there and merges them newest first.
+const NEWPIPE_PEERTUBE_SERVICE_ID = 3;
+
+// FNV-1a of `text` as 8 hex digits: tells whether the import setting changed without keeping what was pasted
+function textFingerprint(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return ('0000000' + hash.toString(16)).slice(-8);
+}
+
+// saved import keys; older states kept the pasted text itself
+function loadImportKey(saved) {
+    if (typeof saved !== 'string' || !saved) return '';
+    return /^[0-9a-f]{8}$/.test(saved) ? saved : textFingerprint(saved.trim());
+}
+
+function localSubscriptionKey(sub) {
+    return `${sub.name}@${sub.host}`.toLowerCase();
+}
+
+function localSubscriptionUrl(sub) {
+    return `https://${sub.host}/c/${sub.name}`;
+}
+
+// { host, name } for a channel URL or a name@host handle; channel links routed through another instance
+// (https://a.example/c/name@b.example) resolve to the channel's own host
+function localSubscriptionFromRef(input) {
+    const raw = String(input || '').trim();
+    if (!raw) return null;
+    if (/^https?:\/\//i.test(raw)) {
+        const ref = classifyPeerTubeUrl(raw);
+        if (!ref || ref.kind !== 'channel') return null;
+        const at = ref.handle.indexOf('@');
+        return at === -1 ? { host: new URL(ref.base).host, name: ref.handle } : { host: ref.handle.slice(at + 1), name: ref.handle.slice(0, at) };
+    }
+    const m = raw.replace(/^@/, '').match(/^([^\s@\/]+)@([^\s@\/]+\.[^\s@\/]+)$/);
+    return m ? { host: m[2].toLowerCase(), name: m[1] } : null;
+}
+
+function addLocalSubscription(sub, displayName) {
+    if (!sub || state.subscriptions.some(s => localSubscriptionKey(s) === localSubscriptionKey(sub))) return false;
+    state.subscriptions.push({ host: sub.host, name: sub.name, displayName: displayName || sub.name, addedAt: Date.now() });
+    return true;
+}
+
+source.subscribeLocalChannel = function (url) {
+    try {
+        return addLocalSubscription(localSubscriptionFromRef(url));
+    } catch (e) {
+        logSafe('[subscribeLocalChannel] error: ' + e);
+        return false;
+    }
+};
+
+source.unsubscribeLocalChannel = function (url) {
+    try {
+        const sub = localSubscriptionFromRef(url);
+        if (!sub) return false;
+        const before = state.subscriptions.length;
+        state.subscriptions = state.subscriptions.filter(s => localSubscriptionKey(s) !== localSubscriptionKey(sub));
+        return state.subscriptions.length !== before;
+    } catch (e) {
+        logSafe('[unsubscribeLocalChannel] error: ' + e);
+        return false;
+    }
+};
+
+source.getLocalSubscriptions = function () {
+    return state.subscriptions.map(localSubscriptionUrl);
+};
+
+function xmlEscape(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function xmlUnescape(value) {
+    return String(value).replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// [{ ref, name }] from OPML outlines: htmlUrl when it is a channel page, else a PeerTube feed URL naming the channel
+function parseOpmlSubscriptions(text) {
+    const found = [];
+    for (const tag of text.match(/<outline\b[^>]*>/gi) || []) {
+        const attrs = {};
+        tag.replace(/([A-Za-z:]+)\s*=\s*"([^"]*)"/g, (m, k, v) => { attrs[k.toLowerCase()] = xmlUnescape(v); return m; });
+        const name = attrs.title || attrs.text || '';
+        if (attrs.htmlurl && localSubscriptionFromRef(attrs.htmlurl)) { found.push({ ref: attrs.htmlurl, name: name }); continue; }
+        try {
+            const feed = new URL(attrs.xmlurl || '');
+            const channel = feed.searchParams.get('videoChannelName');
+            if (channel) found.push({ ref: channel.indexOf('@') === -1 ? `${channel}@${feed.host}` : channel, name: name });
+            else if (attrs.xmlurl) logSafe(`[importSubscriptions] skipping outline without a channel name: ${attrs.xmlurl}`);
+        } catch (e) {}
+    }
+    return found;
+}
+
+// [{ ref, name }] from a NewPipe export ({ subscriptions: [{ service_id, url, name }] }), a PeerTube account
+// export ({ following: [{ targetHandle }] }) or a plain array of URLs/handles
+function parseJsonSubscriptions(data) {
+    const found = [];
+    const list = Array.isArray(data) ? data : (data && (data.subscriptions || data.following || data.data)) || [];
+    for (const entry of list) {
+        if (typeof entry === 'string') { found.push({ ref: entry, name: '' }); continue; }
+        if (!entry) continue;
+        // NewPipe exports every service; only PeerTube (or unlabelled) entries can be ours
+        if (entry.service_id !== undefined && entry.service_id !== NEWPIPE_PEERTUBE_SERVICE_ID) continue;
+        const ref = entry.url || entry.targetHandle || entry.handle || (entry.name && entry.host ? `${entry.name}@${entry.host}` : '');
+        // NewPipe's `name` is the display name; elsewhere `name` is part of the handle
+        if (ref) found.push({ ref: ref, name: entry.url ? (entry.name || '') : (entry.displayName || '') });
+    }
+    return found;
+}
+
+// merges OPML, NewPipe/PeerTube JSON or a comma/newline separated list of channel URLs and handles; returns how many were new
+function importLocalSubscriptions(text) {
+    const raw = String(text || '').trim();
+    if (!raw) return 0;
+    let entries;
+    if (raw[0] === '<') entries = parseOpmlSubscriptions(raw);
+    else if (raw[0] === '{' || raw[0] === '[') entries = parseJsonSubscriptions(JSON.parse(raw));
+    else entries = raw.split(/[\s,]+/).filter(Boolean).map(r => ({ ref: r, name: '' }));
+    let added = 0;
+    for (const e of entries) {
+        const sub = localSubscriptionFromRef(e.ref);
+        if (!sub) { logSafe(`[importSubscriptions] not a PeerTube channel: ${e.ref}`); continue; }
+        if (addLocalSubscription(sub, e.name)) added++;
+    }
+    return added;
+}
+
+source.importSubscriptions = function (text) {
+    try {
+        return importLocalSubscriptions(text);
+    } catch (e) {
+        logSafe('[importSubscriptions] error: ' + e);
+        return 0;
+    }
+};
+
+// 'opml' (RSS feeds, readable by feed readers and NewPipe) or 'json' (NewPipe subscription export format)
+source.exportSubscriptions = function (format) {
+    try {
+        if (format === 'json') {
+            return JSON.stringify({
+                app_version: '0.0.0',
+                app_version_int: 0,
+                subscriptions: state.subscriptions.map(s => ({ service_id: NEWPIPE_PEERTUBE_SERVICE_ID, url: `https://${s.host}/video-channels/${s.name}`, name: s.displayName || s.name }))
+            });
+        }
+        const outlines = state.subscriptions.map(s => {
+            const title = xmlEscape(s.displayName || s.name);
+            const xmlUrl = xmlEscape(`https://${s.host}/feeds/videos.xml?${buildQueryString({ videoChannelName: s.name })}`);
+            return `    <outline type="rss" text="${title}" title="${title}" xmlUrl="${xmlUrl}" htmlUrl="${xmlEscape(localSubscriptionUrl(s))}"/>`;
+        });
+        return ['<?xml version="1.0" encoding="UTF-8"?>', '<opml version="1.1">', '  <head><title>PeerTube subscriptions</title></head>', '  <body>',
+            ...outlines, '  </body>', '</opml>'].join('\n');
+    } catch (e) {
+        logSafe('[exportSubscriptions] error: ' + e);
+        return '';
+    }
+};
+
+// newest-first merge of every subscribed channel, each read from its own host (or a mirror while that host is down)
+function getLocalSubscriptionsFeed() {
+    const sources = [];
+    for (const sub of state.subscriptions) {
+        const base = `https://${sub.host}`;
+        if (isInstanceBlocked(base)) continue;
+        const ref = channelRefOrMirror({ base: base, kind: 'channel', handle: sub.name });
+        if (ref) sources.push(createInstanceFeedSource(ref.base, `${channelApiPath(ref)}/videos`, applyNsfwParam({ sort: '-publishedAt' }, ref.base)));
+    }
+    return new PeerTubeAggregatePager(createAggregateContext(sources, {
+        tag: 'localSubscriptions',
+        batchSize: 10,
+        pageSize: 20,
+        merge: 'byDate'
+    }));
+}
+
+// ---------------------- playback reporting (views & watch history) ----------------------
+const PLAYBACK_REPORT_INTERVAL_MS = 10 * 1000;
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+// Reports views to the video's own host. PeerTube >= 5 counts a view from the `currentTime` updates it
+// receives (older servers simply count the POST); when logged in the same call feeds the watch history,
+// and /watching is kept for servers that predate that.
+class PeerTubePlaybackTracker extends PlaybackTracker {
+    constructor(base, videoId, reportToServer) {
+        super(PLAYBACK_REPORT_INTERVAL_MS);
+        this.base = base;
+        this.videoId = videoId;
+        this.reportToServer = reportToServer;
+        this.opened = openedVideos.get(videoId) || { uuid: videoId, duration: 0 };
+        this.modern = null; // PeerTube >= 5 view protocol, resolved on the first report
+        this.reported = false;
+        this.watchingSupported = true;
+    }
+
+    onInit(seconds) {
+        this.report(seconds);
+    }
+
+    onProgress(seconds, isPlaying) {
+        if (isPlaying) this.report(seconds);
+    }
+
+    report(seconds) {
+        try {
+            recordSeenWatch(this.opened.uuid, seconds, this.opened.duration);
+            if (!this.reportToServer) return;
+            if (this.modern === null) {
+                this.modern = serverVersionAtLeast(this.base, '5.0.0', true);
+                // 6.0 moved watch history onto the /views endpoint
+                if (serverVersionAtLeast(this.base, '6.0.0', false)) this.watchingSupported = false;
+            }
+            // before 5.0 the server counts the POST itself, so only the first one matters
+            if (!this.modern && this.reported) return;
+            this.reported = true;
+            const payload = JSON.stringify({ currentTime: Math.max(0, Math.floor(seconds || 0)) });
+            const res = safeHttpPost(`${this.base}/api/v1/videos/${this.videoId}/views`, this.modern ? payload : '', JSON_HEADERS);
+            if (!res || !res.isOk) logSafe(`[PeerTubePlaybackTracker] view report failed ${this.base} ${this.videoId}: ${res && res.code ? res.code : 'nores'}`);
+            if (this.watchingSupported && isLoggedInTo(this.base)) {
+                const w = safeHttpPut(`${this.base}/api/v1/videos/${this.videoId}/watching`, payload, JSON_HEADERS);
+                if (w && (w.code === 404 || w.code === 405)) this.watchingSupported = false;
+            }
+        } catch (e) {
+            logSafe('[PeerTubePlaybackTracker] ' + e);
+        }
+    }
+}
+
+source.getPlaybackTracker = function (url) {
+    try {
+        parseSettings(plugin?.settings || {});
+        if (!_settings.submitActivity) return null;
+        const ref = parseVideoUrlRef(url);
+        if (!ref.id) return null;
+        // watches are still remembered locally while the video's instance is blocked or backing off
+        return new PeerTubePlaybackTracker(ref.base, ref.id, !isInstanceBlocked(ref.base) && !isHostCurrentlyUnhealthy(ref.base));
+    } catch (e) {
+        logSafe('[getPlaybackTracker] error: ' + e);
+        return null;
+    }
 };
 
 // ---------------------- enable / saveState ----------------------
 source.enable = function (conf, settings, saveStateStr) {
     try {
         pluginConfig = conf || pluginConfig || {};
+        session = null;
         parseSettings(settings || plugin.settings || {});
-        // attempt to load persisted state (seenIds and unhealthyHosts)
+        // attempt to load persisted state (seen videos, host health, the login refresh token, discovered instances and instance configs)
         try {
             if (saveStateStr && typeof saveStateStr === 'string' && saveStateStr.trim().length) {
                 const parsed = JSON.parse(saveStateStr);
                 if (parsed) {
-                    state.seenIds = parsed.seenIds || state.seenIds || [];
-                    // restore unhealthyHosts but only keep future expiries
-                    if (parsed.unhealthyHosts && typeof parsed.unhealthyHosts === 'object') {
-                        state.unhealthyHosts = state.unhealthyHosts || {};
+                    loadSeenEntries(parsed);
+                    if (Array.isArray(parsed.subscriptions)) state.subscriptions = parsed.subscriptions.filter(s => s && s.host && s.name);
+                    state.subscriptionsImportKey = loadImportKey(parsed.subscriptionsImportKey);
+                    if (parsed.discovered && Array.isArray(parsed.discovered.instances)) state.discovered = parsed.discovered;
+                    loadKnownInstances(parsed.knownInstances);
+                    if (parsed.auth && typeof parsed.auth === 'object' && parsed.auth.refreshToken) state.auth = parsed.auth;
+                    if (parsed.instanceConfigs && typeof parsed.instanceConfigs === 'object') {
+                        // expired capability records are simply probed again
+                        state.instanceConfigs = {};
+                        for (const base in parsed.instanceConfigs) {
+                            const cfg = parsed.instanceConfigs[base];
+                            if (cfg && (Date.now() - cfg.fetchedAt) < INSTANCE_CONFIG_TTL_MS) state.instanceConfigs[base] = cfg;
+                        }
+                    }
+                    if (parsed.hostHealth && typeof parsed.hostHealth === 'object') {
+                        state.hostHealth = parsed.hostHealth;
+                        pruneHostHealth();
+                    } else if (parsed.unhealthyHosts && typeof parsed.unhealthyHosts === 'object') {
+                        // pre-health-record state: carry over bans that have not expired yet
                         for (const h in parsed.unhealthyHosts) {
                             const exp = parsed.unhealthyHosts[h];
-                            if (exp && exp > Date.now()) state.unhealthyHosts[h] = exp;
+                            if (exp && exp > Date.now()) getHostHealth(h).bannedUntil = exp;
                         }
                     }
                 }
@@ -536,6 +3095,14 @@ source.enable = function (conf, settings, saveStateStr) {
         } catch (e) {
             logSafe('[enable] saveState parse failed: ' + e);
         }
+        // the import setting is merged once per distinct value, so later unsubscribes stick
+        const importKey = _settings.subscriptionsImport ? textFingerprint(_settings.subscriptionsImport) : '';
+        if (importKey && importKey !== state.subscriptionsImportKey) {
+            try { logSafe(`[enable] imported ${importLocalSubscriptions(_settings.subscriptionsImport)} subscriptions`); }
+            catch (e) { logSafe('[enable] subscription import failed: ' + e); }
+            state.subscriptionsImportKey = importKey;
+        }
+        if (_settings.logHealthReport) logSafe(formatHostHealthReport());
         logSafe('PeerTube Enhanced Multi-Instance plugin enabled (v32).');
     } catch (e) {
         logSafe('[enable] unexpected: ' + e);
@@ -544,83 +3111,16 @@ source.enable = function (conf, settings, saveStateStr) {
 
 source.saveState = function () {
     try {
-        return JSON.stringify({ seenIds: state.seenIds || [], unhealthyHosts: state.unhealthyHosts || {} });
+        pruneHostHealth();
+        return JSON.stringify({
+            seen: serializeSeenEntries(),
+            subscriptions: state.subscriptions || [],
+            subscriptionsImportKey: state.subscriptionsImportKey || '',
+            hostHealth: state.hostHealth || {},
+            auth: state.auth || null,
+            discovered: state.discovered || null,
+            knownInstances: state.knownInstances || {},
+            instanceConfigs: state.instanceConfigs || {}
+        });
     } catch (e) { return '{}'; }
 };
-
-// ---------------------- ensureContentType + buildPlatformVideoFromPeerTube (reused from v31) ----------------------
-function ensureContentType(item) {
-    try {
-        if (!item || typeof item !== 'object') return item;
-        if (typeof item.contentType === 'number' && Number.isInteger(item.contentType)) return item;
-        item.contentType = 1;
-        return item;
-    } catch (e) { return item; }
-}
-
-function buildPlatformVideoFromPeerTube(v, instanceBaseUrl) {
-    try {
-        const configId = (typeof plugin !== 'undefined' && plugin.id) ? plugin.id : FALLBACK_CONFIG_ID;
-        const PlatformIDClass = (typeof PlatformID !== 'undefined') ? PlatformID : null;
-        const PlatformAuthorLinkClass = (typeof PlatformAuthorLink !== 'undefined') ? PlatformAuthorLink : null;
-        const ThumbnailClass = (typeof Thumbnail !== 'undefined') ? Thumbnail : null;
-        const ThumbnailsClass = (typeof Thumbnails !== 'undefined') ? Thumbnails : null;
-        const PlatformVideoClass = (typeof PlatformVideo !== 'undefined') ? PlatformVideo : null;
-
-        const idObj = PlatformIDClass ? new PlatformIDClass(PLATFORM, v.uuid, configId) : { platform: PLATFORM, value: v.uuid, owner: configId };
-        const authorUrl = (v.account && v.account.url) ? v.account.url : (instanceBaseUrl || '');
-        let authorObj;
-        if (PlatformAuthorLinkClass && PlatformIDClass) {
-            const aId = new PlatformIDClass(PLATFORM, v.account?.name || (v.account?.url || 'unknown'), configId);
-            authorObj = new PlatformAuthorLinkClass(aId, v.account?.displayName || v.account?.name || 'Unknown', authorUrl, null, v.account?.followersCount || 0);
-        } else {
-            authorObj = { id: { platform: PLATFORM, value: v.account?.name || '' }, name: v.account?.displayName || v.account?.name || 'Unknown', url: authorUrl };
-        }
-        const thumbs = [];
-        if (v.thumbnailPath) {
-            const turl = (instanceBaseUrl || '') + v.thumbnailPath;
-            if (ThumbnailClass) thumbs.push(new ThumbnailClass(turl, 0)); else thumbs.push({ url: turl, width: 0 });
-        }
-        const thumbnailsObj = (ThumbnailsClass ? new ThumbnailsClass(thumbs) : { items: thumbs });
-
-        if (PlatformVideoClass) {
-            try {
-                const pv = new PlatformVideoClass({
-                    id: idObj,
-                    name: v.name || '',
-                    thumbnails: thumbnailsObj,
-                    author: authorObj,
-                    datetime: Math.round((new Date(v.publishedAt || Date.now())).getTime() / 1000),
-                    duration: v.duration || 0,
-                    viewCount: v.views || 0,
-                    url: (instanceBaseUrl ? (instanceBaseUrl + '/w/' + v.uuid) : (v.url || '')),
-                    isLive: !!v.isLive,
-                    description: v.description || ''
-                });
-                ensureContentType(pv);
-                return pv;
-            } catch (e) {
-                logSafe(`[buildPlatformVideoFromPeerTube] PlatformVideo ctor failed: ${e}`);
-            }
-        }
-
-        const fallback = {
-            contentType: 1,
-            id: idObj,
-            name: v.name || '',
-            thumbnails: thumbs,
-            author: authorObj,
-            datetime: Math.round((new Date(v.publishedAt || Date.now())).getTime() / 1000),
-            duration: v.duration || 0,
-            viewCount: v.views || 0,
-            url: (instanceBaseUrl ? (instanceBaseUrl + '/w/' + v.uuid) : (v.url || '')),
-            isLive: !!v.isLive,
-            description: v.description || ''
-        };
-        ensureContentType(fallback);
-        return fallback;
-    } catch (err) {
-        logSafe('[buildPlatformVideoFromPeerTube] fatal error: ' + err);
-        return { contentType: 1, id: { platform: PLATFORM, value: v.uuid || '', owner: FALLBACK_CONFIG_ID }, name: v.name || '', url: v.url || '' };
-    }
-}
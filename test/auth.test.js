@@ -0,0 +1,74 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPlugin, plain, ACCOUNT } = require('./harness');
+
+const LOGIN = { instancesList: 'alpha.example,beta.example', loginInstance: 'alpha.example', loginUsername: ACCOUNT.username };
+
+function loggedIn(settings, saveState) {
+    return loadPlugin({ settings: Object.assign({}, LOGIN, { loginPassword: ACCOUNT.password }, settings), saveState: saveState });
+}
+
+function tokenGrants(plugin) {
+    return plugin.requests.filter(r => r.url === 'https://alpha.example/api/v1/users/token').map(r => new URLSearchParams(r.body).get('grant_type'));
+}
+
+test('logging in exchanges the password with the instance client credentials', () => {
+    const plugin = loggedIn({ homeSubscriptions: 'true' });
+    plugin.source.getHome();
+    const token = plugin.requests.find(r => r.url === 'https://alpha.example/api/v1/users/token');
+    const fields = new URLSearchParams(token.body);
+    assert.equal(fields.get('client_id'), 'local-client');
+    assert.equal(fields.get('grant_type'), 'password');
+    assert.equal(fields.get('username'), ACCOUNT.username);
+    assert.deepEqual(tokenGrants(plugin), ['password']);
+});
+
+test('the access token is only sent to the login instance', () => {
+    const plugin = loggedIn({});
+    plugin.source.getUserSubscriptions();
+    plugin.source.getHome();
+    plugin.source.search('talk');
+    for (const r of plugin.requests) {
+        if (new URL(r.url).host === 'alpha.example' && r.url.indexOf('/users/token') === -1 && r.url.indexOf('/oauth-clients/') === -1) {
+            assert.equal(r.headers.Authorization, `Bearer ${ACCOUNT.accessToken}`, r.url);
+        } else {
+            assert.equal(r.headers.Authorization, undefined, r.url);
+        }
+    }
+});
+
+test('Home shows the subscriptions feed and subscriptions come from the account when logged in', () => {
+    const plugin = loggedIn({ homeSubscriptions: 'true' });
+    assert.deepEqual(plain(plugin.source.getHome().results.map(v => v.name)), ['Garden tour']);
+    assert.deepEqual(plain(plugin.source.getUserSubscriptions()), ['https://alpha.example/c/garden']);
+});
+
+test('saveState keeps only the refresh token, which logs in again without the password', () => {
+    const first = loggedIn({ homeSubscriptions: 'true' });
+    first.source.getHome();
+    const saved = JSON.parse(first.source.saveState());
+    assert.equal(saved.auth.refreshToken, ACCOUNT.refreshToken);
+    assert.doesNotMatch(JSON.stringify(saved), new RegExp(`${ACCOUNT.accessToken}|${ACCOUNT.password}|local-secret`));
+
+    const second = loadPlugin({ settings: Object.assign({ homeSubscriptions: 'true' }, LOGIN), saveState: JSON.stringify(saved) });
+    assert.deepEqual(plain(second.source.getHome().results.map(v => v.name)), ['Garden tour']);
+    assert.deepEqual(tokenGrants(second), ['refresh_token']);
+});
+
+test('a wrong password leaves the session anonymous without retrying on every request', () => {
+    const plugin = loggedIn({ loginPassword: 'wrong', homeSubscriptions: 'true' });
+    assert.ok(plugin.source.getHome().results.length > 1);
+    assert.deepEqual(plain(plugin.source.getUserSubscriptions()), []);
+    assert.deepEqual(tokenGrants(plugin), ['password']);
+    assert.equal(JSON.parse(plugin.source.saveState()).auth, null);
+});
+
+test('anonymous sessions never request tokens or send credentials', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'alpha.example', homeSubscriptions: 'true' } });
+    assert.ok(plugin.source.getHome().results.length > 1);
+    assert.deepEqual(plain(plugin.source.getUserSubscriptions()), []);
+    assert.deepEqual(tokenGrants(plugin), []);
+    assert.ok(plugin.requests.every(r => !r.headers.Authorization));
+});
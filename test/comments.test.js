@@ -0,0 +1,36 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPlugin, plain } = require('./harness');
+
+const LECTURE_URL = 'https://alpha.example/w/a1111111-0000-4000-8000-000000000001';
+
+function commentsOf(pager) {
+    return plain(pager.results.map(c => [c.message, c.replyCount]));
+}
+
+test('getComments lists threads and keeps deleted ones only while they have replies', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'alpha.example' } });
+    const pager = plugin.source.getComments(LECTURE_URL);
+    assert.deepEqual(commentsOf(pager), [['Great lecture', 2], ['[deleted]', 1]]);
+    assert.equal(pager.hasMore, false);
+    assert.equal(pager.results[0].author.name, 'Bob');
+    assert.equal(pager.results[0].contextUrl, LECTURE_URL);
+});
+
+test('getComments sorts as the comment sort setting says', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'alpha.example', commentSort: '2' } });
+    plugin.source.getComments(LECTURE_URL);
+    const sorts = plugin.requests.map(r => new URL(r.url)).filter(u => u.pathname.endsWith('/comment-threads')).map(u => u.searchParams.get('sort'));
+    assert.deepEqual(sorts, ['-totalReplies']);
+});
+
+test('getSubComments walks the reply tree, nested replies included', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'alpha.example' } });
+    const thread = plugin.source.getComments(LECTURE_URL).results[0];
+    const replies = plugin.source.getSubComments(thread);
+    assert.deepEqual(commentsOf(replies), [['Thanks!', 1]]);
+    assert.deepEqual(commentsOf(plugin.source.getSubComments(replies.results[0])), [['Looking forward to the next one', 0]]);
+    assert.ok(plugin.requestedPaths().includes('alpha.example/api/v1/videos/a1111111-0000-4000-8000-000000000001/comment-threads/11'));
+});
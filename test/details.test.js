@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPlugin, plain } = require('./harness');
+
+const LECTURE_URL = 'https://alpha.example/w/a1111111-0000-4000-8000-000000000001';
+
+function lectureDetails(settings) {
+    const plugin = loadPlugin({ settings: Object.assign({ instancesList: 'alpha.example' }, settings) });
+    return plain(plugin.source.getContentDetails(LECTURE_URL));
+}
+
+test('getContentDetails lists HLS first, then web videos from highest resolution, without audio-only files', () => {
+    const sources = lectureDetails().video.args[0];
+    assert.deepEqual(sources.map(s => s.name), ['HLS', '1080p', '480p']);
+    assert.equal(sources[0].url, 'https://alpha.example/static/streaming-playlists/hls/a1/master.m3u8');
+    assert.equal(sources[1].height, 1080);
+});
+
+test('getContentDetails carries captions, both thumbnail sizes and storyboards', () => {
+    const details = lectureDetails();
+    assert.equal(details.name, 'Lecture 1');
+    assert.equal(details.url, LECTURE_URL);
+    assert.deepEqual(details.subtitles.map(s => [s.language, s.url]), [
+        ['en', 'https://alpha.example/lazy-static/video-captions/a1-en.vtt']
+    ]);
+    assert.deepEqual(details.thumbnails.sources.map(t => t.quality), [280, 850]);
+    assert.deepEqual(details.storyboards, [{
+        url: 'https://alpha.example/lazy-static/storyboards/a1.jpg',
+        spriteWidth: 192,
+        spriteHeight: 108,
+        spriteDuration: 6,
+        totalWidth: 1920,
+        totalHeight: 1080
+    }]);
+    assert.deepEqual(details.rating, { likes: 5, dislikes: 1 });
+});
+
+test('storyboards and chapters are not requested from servers older than 6.0', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'beta.example' } });
+    plugin.source.getHome();
+    const url = 'https://beta.example/w/c3333333-0000-4000-8000-000000000001';
+    assert.deepEqual(plain(plugin.source.getContentDetails(url).storyboards), []);
+    assert.deepEqual(plain(plugin.source.getContentChapters(url)), []);
+    assert.deepEqual(plugin.requestedPaths().filter(p => /\/(storyboards|chapters)$/.test(p)), []);
+});
+
+test('getContentDetails resolves a video on an unreachable host through a configured instance', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'alpha.example' } });
+    const details = plain(plugin.source.getContentDetails('https://nowhere.example/w/a1111111-0000-4000-8000-000000000001'));
+    assert.equal(details.name, 'Lecture 1');
+    assert.match(details.description, /^Originally published on nowhere\.example/);
+});
+
+test('chapters of a video opened through a mirror come from that mirror', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'alpha.example' } });
+    const url = 'https://nowhere.example/w/a1111111-0000-4000-8000-000000000001';
+    plugin.source.getContentDetails(url);
+    plugin.requests.length = 0;
+    const chapters = plain(plugin.source.getContentChapters(url));
+    assert.deepEqual(chapters.map(c => [c.name, c.timeStart, c.timeEnd]), [['Introduction', 0, 240], ['Questions', 240, 600]]);
+    assert.deepEqual(plugin.requestedPaths(), ['alpha.example/api/v1/videos/a1111111-0000-4000-8000-000000000001/chapters']);
+});
+
+test('getContentDetails returns null when nothing can provide the video', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'beta.example' } });
+    assert.equal(plugin.source.getContentDetails('https://nowhere.example/w/a1111111-0000-4000-8000-000000000001'), null);
+});
+
+test('recommendations reuse the opened details and leave Home untouched', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'alpha.example' } });
+    const details = plugin.source.getContentDetails(LECTURE_URL);
+    plugin.requests.length = 0;
+    const names = plain(plugin.source.getContentRecommendations(LECTURE_URL, details).results.map(v => v.name));
+    assert.ok(names.includes('Lecture 2'));
+    assert.ok(!names.includes('Lecture 1'));
+    assert.ok(!plugin.requestedPaths().includes('alpha.example/api/v1/videos/a1111111-0000-4000-8000-000000000001'));
+    assert.deepEqual(JSON.parse(plugin.source.saveState()).seen, []);
+});
+
+test('recommendations take a PeerTube video passed as initialData as is', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'alpha.example' } });
+    const initialData = { uuid: 'a1111111-0000-4000-8000-000000000001', channel: { name: 'lectures', host: 'alpha.example' }, tags: [] };
+    const names = plain(plugin.source.getContentRecommendations(LECTURE_URL, initialData).results.map(v => v.name));
+    assert.deepEqual(names, ['Lecture 2', 'Lecture 3']);
+    assert.deepEqual(plugin.requestedPaths().filter(p => p.includes('/videos/a1111111')), []);
+});
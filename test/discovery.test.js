@@ -0,0 +1,33 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPlugin, plain } = require('./harness');
+
+const SETTINGS = {
+    instancesList: 'alpha.example',
+    randomizeInstances: 'true',
+    instanceSampleSize: '2',
+    discoverInstances: 'true',
+    instanceDirectoryUrl: 'https://directory.example'
+};
+
+test('getHome samples instances found in the directory', () => {
+    const plugin = loadPlugin({ settings: SETTINGS });
+    const names = plain(plugin.source.getHome().results.map(v => v.name));
+    assert.ok(names.includes('Beta news'));
+    assert.ok(names.includes('Lecture 1'));
+});
+
+test('sampled directory instances are remembered, so their links are claimed without probing them again', () => {
+    const first = loadPlugin({ settings: SETTINGS });
+    first.source.getHome();
+    const saved = JSON.parse(first.source.saveState());
+    assert.deepEqual(Object.keys(saved.knownInstances), ['https://beta.example']);
+
+    saved.instanceConfigs = {};
+    const second = loadPlugin({ settings: SETTINGS, saveState: JSON.stringify(saved) });
+    assert.equal(second.source.isChannelUrl('https://beta.example/c/news'), true);
+    assert.equal(second.source.isPlaylistUrl('https://beta.example/w/p/1234'), true);
+    assert.deepEqual(second.requests, []);
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPlugin, plain } = require('./harness');
+
+const NIGHT_SHOW = 'a9999999-0000-4000-8000-000000000001';
+
+function searchAlpha(settings, filters) {
+    const plugin = loadPlugin({ settings: Object.assign({ instancesList: 'alpha.example' }, settings) });
+    const results = plain(plugin.source.search('show', undefined, undefined, filters).results);
+    const nsfwParams = plugin.requests.map(r => new URL(r.url)).filter(u => u.pathname === '/api/v1/search/videos').map(u => u.searchParams.get('nsfw'));
+    return { night: results.find(v => v.id.value === NIGHT_SHOW), nsfwParams };
+}
+
+test('search hides NSFW videos under the default policy', () => {
+    const { night, nsfwParams } = searchAlpha({});
+    assert.equal(night, undefined);
+    assert.deepEqual(nsfwParams, ['false']);
+});
+
+test('an explicit NSFW search filter wins over the policy, with thumbnails still withheld', () => {
+    for (const choice of ['true', 'both']) {
+        const { night, nsfwParams } = searchAlpha({}, { nsfw: [choice] });
+        assert.deepEqual(nsfwParams, [choice]);
+        assert.equal(night.name, '[NSFW] Night show');
+        assert.deepEqual(night.thumbnails.sources, []);
+    }
+});
+
+test('the "Hide NSFW" search filter hides even when the policy shows', () => {
+    const { night, nsfwParams } = searchAlpha({ nsfwPolicy: '2' }, { nsfw: ['false'] });
+    assert.equal(night, undefined);
+    assert.deepEqual(nsfwParams, ['false']);
+});
+
+test('the Show policy shows NSFW videos with their thumbnails', () => {
+    const { night, nsfwParams } = searchAlpha({ nsfwPolicy: '2' });
+    assert.deepEqual(nsfwParams, [null]);
+    assert.equal(night.name, 'Night show');
+    assert.equal(night.thumbnails.sources.length, 2);
+});
+
+test('blocked instances are never queried for details, chapters, comments, channels or playlists', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'beta.example', blockedInstances: 'alpha.example' } });
+    const video = 'https://alpha.example/w/a1111111-0000-4000-8000-000000000001';
+    assert.equal(plugin.source.getContentDetails(video), null);
+    assert.deepEqual(plain(plugin.source.getContentChapters(video)), []);
+    assert.equal(plugin.source.getComments(video).results.length, 0);
+    assert.equal(plugin.source.getChannel('https://alpha.example/c/lectures'), null);
+    assert.equal(plugin.source.getChannel('https://beta.example/c/lectures@alpha.example'), null);
+    assert.equal(plugin.source.getPlaylist('https://alpha.example/w/p/a1111111Short'), null);
+    assert.ok(!plugin.requestedPaths().some(p => p.startsWith('alpha.example')));
+});
@@ -0,0 +1,181 @@
+// Offline runtime for script.js: stand-ins for the Grayjay host globals plus an `http` package that serves
+// recorded PeerTube API responses from test/fixtures/<host>/. Run the suite with `npm test` (`node --test test/`).
+//
+// A request for https://<host>/api/v1/<path> is answered with fixtures/<host>/<path with "/" -> "__">.json;
+// list fixtures ({ total, data }) are sliced by the `start`/`count` query like the real API. Hosts in
+// HOST_BEHAVIOURS misbehave instead, and anything without a fixture directory is unreachable. POST answers come
+// from the same fixtures when there is one. Every host knows the account in ACCOUNT: /users/token hands out
+// tokens for it and /users/me/* answers 401 without its access token.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT_PATH = path.join(__dirname, '..', 'script.js');
+const CONFIG_PATH = path.join(__dirname, '..', 'config.json');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const HOST_BEHAVIOURS = {
+    'down.example': 'unreachable', // connection refused
+    'slow.example': 'timeout', // never answers within the client timeout
+    'broken.example': 'invalid-json', // answers 200 with an HTML error page
+    'website.example': 'not-peertube' // an ordinary website: 404 pages everywhere
+};
+
+const ACCOUNT = { username: 'ada', password: 'hunter2', accessToken: 'access-1', refreshToken: 'refresh-1' };
+
+// the OAuth token endpoint: a password or refresh_token grant for ACCOUNT, 400 for anything else
+function tokenResponse(form) {
+    const fields = new URLSearchParams(form || '');
+    const valid = fields.get('client_id') === 'local-client' && fields.get('client_secret') === 'local-secret' && (
+        (fields.get('grant_type') === 'password' && fields.get('username') === ACCOUNT.username && fields.get('password') === ACCOUNT.password) ||
+        (fields.get('grant_type') === 'refresh_token' && fields.get('refresh_token') === ACCOUNT.refreshToken));
+    if (!valid) return { isOk: false, code: 400, body: '{"code":"invalid_grant"}' };
+    const body = { token_type: 'Bearer', access_token: ACCOUNT.accessToken, expires_in: 86400, refresh_token: ACCOUNT.refreshToken, refresh_token_expires_in: 1209600 };
+    return { isOk: true, code: 200, body: JSON.stringify(body) };
+}
+
+function fixtureFor(url) {
+    const u = new URL(url);
+    const m = u.pathname.match(/^\/api\/v1\/(.+?)\/?$/);
+    if (!m) return null;
+    const file = path.join(FIXTURES_DIR, u.host, m[1].split('/').map(decodeURIComponent).join('__') + '.json');
+    if (!fs.existsSync(file)) return null;
+    const body = JSON.parse(fs.readFileSync(file, 'utf8'));
+    // a URL or handle search finds just the object it names, among those the instance already holds
+    const term = u.searchParams.get('search') || '';
+    if (m[1].startsWith('search/') && Array.isArray(body.data) && /^(https?:\/\/|@?[^\s@]+@[^\s@]+$)/i.test(term)) {
+        body.data = body.data.filter(item => item && item.uuid && term.indexOf(item.uuid) !== -1);
+        body.total = body.data.length;
+    }
+    if (body && Array.isArray(body.data) && u.searchParams.has('count')) {
+        const start = parseInt(u.searchParams.get('start') || '0', 10);
+        const count = parseInt(u.searchParams.get('count'), 10);
+        return Object.assign({}, body, { data: body.data.slice(start, start + count) });
+    }
+    return body;
+}
+
+// what the Grayjay http package returns (or throws) for one request
+function respond(requests, client, method, url, useAuth, headers, body) {
+    requests.push({ method: method, url: url, useAuth: !!useAuth, timeoutMs: client.timeoutMs, headers: headers || {}, body: body || '' });
+    const host = new URL(url).host;
+    const behaviour = HOST_BEHAVIOURS[host];
+    if (behaviour === 'timeout') throw new Error(`timeout: ${url}`);
+    if (behaviour === 'invalid-json') return { isOk: true, code: 200, body: '<html><body>502 Bad Gateway</body></html>' };
+    if (behaviour === 'not-peertube') return { isOk: false, code: 404, body: '<html><body>Not found</body></html>' };
+    if (behaviour === 'unreachable' || !fs.existsSync(path.join(FIXTURES_DIR, host))) throw new Error(`connection refused: ${url}`);
+    const apiPath = new URL(url).pathname;
+    if (apiPath === '/api/v1/users/token') return tokenResponse(body);
+    if (apiPath.startsWith('/api/v1/users/me') && (headers || {}).Authorization !== `Bearer ${ACCOUNT.accessToken}`) {
+        return { isOk: false, code: 401, body: '{"status":401}' };
+    }
+    const answer = fixtureFor(url) || (method === 'GET' ? null : {});
+    if (answer === null) return { isOk: false, code: 404, body: '{"status":404}' };
+    return { isOk: true, code: 200, body: JSON.stringify(answer) };
+}
+
+// the package itself has no timeout; clients from newClient() get one through setTimeout
+function createHttp(requests, client) {
+    const http = {
+        GET: (url, headers, useAuth) => respond(requests, client, 'GET', url, useAuth, headers),
+        POST: (url, body, headers, useAuth) => respond(requests, client, 'POST', url, useAuth, headers, body),
+        requestWithBody: (method, url, body, headers, useAuth) => respond(requests, client, method, url, useAuth, headers, body),
+        batch() {
+            const queued = [];
+            const batch = {
+                GET(url, headers, useAuth) { queued.push(['GET', url, useAuth, headers]); return batch; },
+                POST(url, body, headers, useAuth) { queued.push(['POST', url, useAuth, headers, body]); return batch; },
+                execute() {
+                    // a failing member does not fail the batch, it just comes back not ok
+                    return queued.map(([method, url, useAuth, headers, body]) => {
+                        try { return respond(requests, client, method, url, useAuth, headers, body); } catch (e) { return { isOk: false, code: 0, body: '' }; }
+                    });
+                }
+            };
+            return batch;
+        }
+    };
+    http.newClient = () => {
+        const state = { timeoutMs: 0 };
+        return Object.assign(createHttp(requests, state), { setTimeout(ms) { state.timeoutMs = ms; } });
+    };
+    return http;
+}
+
+// plain data holders standing in for the host's content classes: constructor arguments become fields
+function dataClass(name) {
+    return class {
+        constructor(...args) {
+            if (args.length === 1 && args[0] && typeof args[0] === 'object' && !Array.isArray(args[0])) Object.assign(this, args[0]);
+            else this.args = args;
+            this.className = name;
+        }
+    };
+}
+
+function createGlobals(settings, requests, logs) {
+    const g = {
+        console: console,
+        URL: URL,
+        URLSearchParams: URLSearchParams,
+        http: createHttp(requests, { timeoutMs: 0 }),
+        bridge: { log: msg => logs.push(String(msg)), toast() {}, isLoggedIn: () => false },
+        plugin: { id: 'test-plugin', settings: settings || {}, config: {} },
+        source: {}
+    };
+    for (const name of ['PlatformVideo', 'PlatformVideoDetails', 'VideoSourceDescriptor', 'HLSSource', 'VideoUrlSource',
+        'PlatformChannel', 'PlatformComment', 'PlatformPlaylist', 'PlatformPlaylistDetails']) {
+        g[name] = dataClass(name);
+    }
+    g.PlatformID = class { constructor(platform, value, pluginId) { Object.assign(this, { platform, value, pluginId }); } };
+    g.PlatformAuthorLink = class { constructor(id, name, url, thumbnail, subscribers) { Object.assign(this, { id, name, url, thumbnail, subscribers }); } };
+    g.Thumbnail = class { constructor(url, quality) { Object.assign(this, { url, quality }); } };
+    g.Thumbnails = class { constructor(sources) { this.sources = sources; } };
+    g.RatingLikes = class { constructor(likes) { this.likes = likes; } };
+    g.RatingLikesDislikes = class { constructor(likes, dislikes) { Object.assign(this, { likes, dislikes }); } };
+    g.FilterGroup = class { constructor(name, filters, isMultiSelect, id) { Object.assign(this, { name, filters, isMultiSelect, id }); } };
+    g.FilterCapability = class { constructor(name, value, id) { Object.assign(this, { name, value, id }); } };
+    g.PlaybackTracker = class { constructor(intervalMs) { this.intervalMs = intervalMs; } };
+    for (const name of ['VideoPager', 'ChannelPager', 'PlaylistPager', 'CommentPager']) {
+        g[name] = class {
+            constructor(results, hasMore, context) { Object.assign(this, { results: results || [], hasMore: !!hasMore, context }); }
+            nextPage() { return new this.constructor([], false, this.context); }
+        };
+    }
+    g.Type = {
+        Feed: { Videos: 'VIDEOS', Streams: 'STREAMS', Mixed: 'MIXED', Live: 'LIVE' },
+        Order: { Chronological: 'CHRONOLOGICAL' },
+        Chapter: { NORMAL: 0 }
+    };
+    return g;
+}
+
+// Loads a fresh copy of script.js. `settings` are the raw plugin settings (strings, as the app stores them);
+// `saveState` is handed to source.enable unless `enable` is false, together with config.json with `config`
+// merged over it.
+function loadPlugin(options) {
+    const opts = options || {};
+    const requests = [];
+    const logs = [];
+    const context = vm.createContext(createGlobals(opts.settings, requests, logs));
+    const config = Object.assign(JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')), opts.config || {});
+    vm.runInContext(fs.readFileSync(SCRIPT_PATH, 'utf8'), context, { filename: 'script.js' });
+    if (opts.enable !== false) context.source.enable(config, context.plugin.settings, opts.saveState || '');
+    return {
+        source: context.source,
+        context: context,
+        requests: requests,
+        logs: logs,
+        // "<host><path>" of every request so far, query strings dropped
+        requestedPaths: () => requests.map(r => { const u = new URL(r.url); return u.host + u.pathname; })
+    };
+}
+
+// values built inside the vm come from another realm; compare them as plain JSON
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadPlugin, plain, SCRIPT_PATH, ACCOUNT };
@@ -0,0 +1,85 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPlugin, plain } = require('./harness');
+
+const FAILING = ['https://down.example', 'https://slow.example', 'https://broken.example'];
+
+function health(plugin) {
+    return JSON.parse(plugin.source.saveState()).hostHealth;
+}
+
+test('getHome backs off unreachable, timing out and invalid-JSON hosts and still serves the healthy one', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'down.example,slow.example,broken.example,alpha.example' } });
+    const names = plain(plugin.source.getHome().results.map(v => v.name));
+    assert.ok(names.includes('Lecture 1'));
+    const recorded = health(plugin);
+    for (const host of FAILING) {
+        assert.ok(recorded[host].bannedUntil > Date.now(), `${host} should be backed off`);
+        assert.equal(recorded[host].consecutiveFailures, 1);
+    }
+    assert.equal(recorded['https://alpha.example'].bannedUntil, 0);
+});
+
+test('backed-off hosts are not contacted again', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'down.example,slow.example,broken.example,alpha.example' } });
+    plugin.source.getHome();
+    plugin.requests.length = 0;
+    plugin.source.getHome();
+    plugin.source.search('talk');
+    const hosts = plugin.requests.map(r => new URL(r.url).host);
+    assert.deepEqual(hosts.filter(h => h !== 'alpha.example'), []);
+});
+
+test('a 404 is counted as a client error without backing the host off', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'alpha.example' } });
+    assert.equal(plugin.source.getContentDetails('https://alpha.example/w/d4444444-0000-4000-8000-000000000404'), null);
+    const alpha = health(plugin)['https://alpha.example'];
+    assert.ok(alpha.clientErrors >= 1);
+    assert.equal(alpha.bannedUntil, 0);
+});
+
+test('channel pages back off a failing host like Home and search do', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'broken.example' } });
+    assert.deepEqual(plain(plugin.source.getChannelContents('https://broken.example/c/lectures').results), []);
+    assert.equal(health(plugin)['https://broken.example'].lastError, 'list_parse_err');
+    assert.ok(health(plugin)['https://broken.example'].bannedUntil > Date.now());
+    plugin.requests.length = 0;
+    plugin.source.getChannelContents('https://broken.example/c/lectures');
+    assert.deepEqual(plugin.requestedPaths().filter(p => p.startsWith('broken.example')), []);
+});
+
+test('a persisted ban survives enable and keeps the host skipped', () => {
+    const first = loadPlugin({ settings: { instancesList: 'down.example,alpha.example' } });
+    first.source.getHome();
+    const second = loadPlugin({ settings: { instancesList: 'down.example,alpha.example' }, saveState: first.source.saveState() });
+    second.source.getHome();
+    assert.ok(second.requests.length > 0);
+    assert.ok(!second.requestedPaths().some(p => p.startsWith('down.example')));
+});
+
+test('every request, batched or not, carries the client timeout', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'alpha.example,beta.example' } });
+    plugin.source.getHome();
+    plugin.source.search('talk');
+    plugin.source.getContentDetails('https://alpha.example/w/a1111111-0000-4000-8000-000000000001');
+    assert.ok(plugin.requests.length > 2);
+    assert.deepEqual(plugin.requests.filter(r => !(r.timeoutMs > 0)).map(r => r.url), []);
+});
+
+test('stale health records are dropped and the rest is capped', () => {
+    const now = Date.now();
+    const hostHealth = {
+        'https://stale.example': { successes: 3, failures: 0, lastSuccessAt: now - 8 * 24 * 3600 * 1000, lastErrorAt: 0, bannedUntil: 0 },
+        'https://banned.example': { successes: 0, failures: 9, lastSuccessAt: 0, lastErrorAt: now - 8 * 24 * 3600 * 1000, bannedUntil: now + 60000 }
+    };
+    for (let i = 0; i < 250; i++) hostHealth[`https://host${i}.example`] = { successes: 1, failures: 0, lastSuccessAt: now - i * 1000, lastErrorAt: 0, bannedUntil: 0 };
+    const plugin = loadPlugin({ settings: { instancesList: 'alpha.example' }, saveState: JSON.stringify({ hostHealth }) });
+    const saved = health(plugin);
+    assert.equal(Object.keys(saved).length, 200);
+    assert.equal(saved['https://stale.example'], undefined);
+    assert.ok(saved['https://banned.example']);
+    assert.ok(saved['https://host0.example']);
+    assert.equal(saved['https://host249.example'], undefined);
+});
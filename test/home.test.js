@@ -0,0 +1,59 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPlugin, plain } = require('./harness');
+
+const SHARED_UUID = 'c3333333-0000-4000-8000-000000000001';
+
+function homeNames(settings) {
+    const plugin = loadPlugin({ settings: Object.assign({ instancesList: 'alpha.example,beta.example' }, settings) });
+    return { plugin: plugin, names: plain(plugin.source.getHome().results.map(v => v.name)) };
+}
+
+test('getHome caps videos per channel', () => {
+    const { names } = homeNames({ instancesList: 'alpha.example', maxPerChannel: '2' });
+    assert.equal(names.filter(n => n.startsWith('Lecture')).length, 2);
+    assert.ok(names.includes('Garden tour'));
+});
+
+test('getHome keeps only preferred languages', () => {
+    const { names } = homeNames({ instancesList: 'alpha.example', preferredLanguages: 'fr' });
+    assert.deepEqual(names, ['Cours de français']);
+});
+
+test('getHome shows a federated video once, linked to its origin', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'beta.example,alpha.example' } });
+    const shared = plugin.source.getHome().results.filter(v => v.id.value === SHARED_UUID);
+    assert.equal(shared.length, 1);
+    assert.equal(shared[0].url, `https://alpha.example/w/${SHARED_UUID}`);
+});
+
+test('getHome does not repeat videos it already showed', () => {
+    const { plugin, names } = homeNames({});
+    const again = plain(plugin.source.getHome().results.map(v => v.name));
+    assert.ok(again.length > 0);
+    assert.deepEqual(again.filter(n => names.includes(n)), []);
+});
+
+test('getHome interleaves instances round-robin by default', () => {
+    const { names } = homeNames({ maxPerChannel: '5' });
+    // beta lists the shared talk first, but alpha (its origin) has it queued too, so alpha's copy is used
+    assert.deepEqual(names.slice(0, 4), ['Lecture 1', 'Shared talk', 'Lecture 2', 'Beta news']);
+});
+
+test('getHome skips instances that cannot be reached', () => {
+    const { plugin, names } = homeNames({ instancesList: 'down.example,alpha.example', maxPerChannel: '5' });
+    assert.equal(names.length, 6);
+    assert.ok(plugin.requestedPaths().includes('down.example/api/v1/config'));
+    assert.ok(!plugin.requestedPaths().includes('down.example/api/v1/videos'));
+});
+
+test('getHome keeps configured instances whose declared languages miss the preferred ones', () => {
+    const { plugin } = homeNames({ preferredLanguages: 'de' });
+    // the second call knows what both instances declare
+    plugin.requests.length = 0;
+    plugin.source.getHome();
+    const feedHosts = plugin.requests.map(r => new URL(r.url)).filter(u => u.pathname === '/api/v1/videos' && u.searchParams.get('count') === '30');
+    assert.deepEqual(feedHosts.map(u => u.host).sort(), ['alpha.example', 'beta.example']);
+});
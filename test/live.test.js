@@ -0,0 +1,43 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPlugin, plain } = require('./harness');
+
+const RUNNING = 'https://alpha.example/w/e5555555-0000-4000-8000-000000000001';
+const SCHEDULED = 'https://alpha.example/w/e5555555-0000-4000-8000-000000000002';
+const ENDED = 'https://alpha.example/w/e5555555-0000-4000-8000-000000000003';
+
+function details(url) {
+    const plugin = loadPlugin({ settings: { instancesList: 'alpha.example' } });
+    return plain(plugin.source.getContentDetails(url));
+}
+
+test('lists leave out lives that have not started or ended without a replay', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'alpha.example' } });
+    const names = plain(plugin.source.getChannelContents('https://alpha.example/c/live').results.map(v => v.name));
+    assert.deepEqual(names, ['Office hours']);
+});
+
+test('a running live plays its live HLS playlist', () => {
+    const live = details(RUNNING);
+    assert.equal(live.isLive, true);
+    assert.equal(live.live.url, 'https://alpha.example/static/streaming-playlists/hls/live/e1/master.m3u8');
+    assert.deepEqual(live.video.args[0].map(s => s.name), ['HLS']);
+});
+
+test('a scheduled live says when it starts and has nothing to play yet', () => {
+    const live = details(SCHEDULED);
+    assert.equal(live.isLive, true);
+    assert.equal(live.live, null);
+    assert.deepEqual(live.video.args[0], []);
+    assert.equal(live.datetime, Date.parse('2026-11-01T18:00:00.000Z') / 1000);
+    assert.match(live.description, /^This live stream has not started yet \(scheduled for Sun, 01 Nov 2026 18:00:00 GMT\)\./);
+});
+
+test('an ended live is no longer shown as live', () => {
+    const live = details(ENDED);
+    assert.equal(live.isLive, false);
+    assert.deepEqual(live.video.args[0], []);
+    assert.match(live.description, /^This live stream has ended\./);
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPlugin, ACCOUNT } = require('./harness');
+
+const SETTINGS = { instancesList: 'alpha.example,beta.example,gamma.example' };
+
+function play(plugin, url) {
+    const tracker = plugin.source.getPlaybackTracker(url);
+    plugin.requests.length = 0;
+    tracker.onInit(0);
+    tracker.onProgress(30.6, true);
+    tracker.onProgress(40, false);
+    return plugin.requests.filter(r => r.method !== 'GET').map(r => [r.method, new URL(r.url).pathname, r.body]);
+}
+
+test('PeerTube 6 gets every position on /views and no /watching calls', () => {
+    const plugin = loadPlugin({ settings: SETTINGS });
+    assert.deepEqual(play(plugin, 'https://alpha.example/w/a1111111-0000-4000-8000-000000000001'), [
+        ['POST', '/api/v1/videos/a1111111-0000-4000-8000-000000000001/views', '{"currentTime":0}'],
+        ['POST', '/api/v1/videos/a1111111-0000-4000-8000-000000000001/views', '{"currentTime":30}']
+    ]);
+});
+
+test('servers older than 5.0 count the first view POST only', () => {
+    const plugin = loadPlugin({ settings: SETTINGS });
+    assert.deepEqual(play(plugin, 'https://gamma.example/w/g7777777-0000-4000-8000-000000000001'), [
+        ['POST', '/api/v1/videos/g7777777-0000-4000-8000-000000000001/views', '']
+    ]);
+});
+
+test('PeerTube 5 also gets /watching for the watch history when logged in', () => {
+    const plugin = loadPlugin({ settings: Object.assign({ loginInstance: 'beta.example', loginUsername: ACCOUNT.username, loginPassword: ACCOUNT.password }, SETTINGS) });
+    const calls = play(plugin, 'https://beta.example/w/b2222222-0000-4000-8000-000000000001').filter(c => c[1] !== '/api/v1/users/token');
+    assert.deepEqual(calls, [
+        ['POST', '/api/v1/videos/b2222222-0000-4000-8000-000000000001/views', '{"currentTime":0}'],
+        ['PUT', '/api/v1/videos/b2222222-0000-4000-8000-000000000001/watching', '{"currentTime":0}'],
+        ['POST', '/api/v1/videos/b2222222-0000-4000-8000-000000000001/views', '{"currentTime":30}'],
+        ['PUT', '/api/v1/videos/b2222222-0000-4000-8000-000000000001/watching', '{"currentTime":30}']
+    ]);
+    const watching = plugin.requests.find(r => r.method === 'PUT');
+    assert.equal(watching.headers.Authorization, `Bearer ${ACCOUNT.accessToken}`);
+});
+
+test('anonymous sessions do not call /watching', () => {
+    const plugin = loadPlugin({ settings: SETTINGS });
+    const calls = play(plugin, 'https://beta.example/w/b2222222-0000-4000-8000-000000000001');
+    assert.deepEqual(calls.map(c => c[0]), ['POST', 'POST']);
+});
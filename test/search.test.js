@@ -0,0 +1,109 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPlugin, plain } = require('./harness');
+
+test('search merges results from every instance and shows a federated video once', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'alpha.example,beta.example' } });
+    const results = plain(plugin.source.search('talk').results.map(v => [v.name, v.url]));
+    assert.deepEqual(results, [
+        ['Lecture 1', 'https://alpha.example/w/a1111111-0000-4000-8000-000000000001'],
+        ['Shared talk', 'https://alpha.example/w/c3333333-0000-4000-8000-000000000001'],
+        ['Beta news', 'https://beta.example/w/b2222222-0000-4000-8000-000000000001']
+    ]);
+    assert.ok(plugin.requestedPaths().includes('alpha.example/api/v1/search/videos'));
+    assert.ok(plugin.requestedPaths().includes('beta.example/api/v1/search/videos'));
+});
+
+test('search skips hosts that are backed off', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'down.example,beta.example' } });
+    plugin.source.getHome();
+    plugin.requests.length = 0;
+    const names = plain(plugin.source.search('talk').results.map(v => v.name));
+    assert.deepEqual(names, ['Shared talk', 'Beta news']);
+    assert.ok(!plugin.requestedPaths().some(p => p.startsWith('down.example')));
+});
+
+test('search returns an empty pager when no instance answers', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'down.example,broken.example' } });
+    const pager = plugin.source.search('talk');
+    assert.equal(pager.results.length, 0);
+    assert.equal(pager.hasMore, false);
+});
+
+test('URL searches also ask instances that only answer from objects they already know', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'beta.example,alpha.example' } });
+    plugin.source.getHome();
+    plugin.requests.length = 0;
+    const names = plain(plugin.source.search('https://elsewhere.example/w/c3333333-0000-4000-8000-000000000001').results.map(v => v.name));
+    assert.deepEqual(names, ['Shared talk']);
+    const searched = plugin.requestedPaths().filter(p => p.endsWith('/api/v1/search/videos'));
+    assert.deepEqual(searched, ['alpha.example/api/v1/search/videos', 'beta.example/api/v1/search/videos']);
+});
+
+test('getSearchCapabilities offers the filters buildVideoSearchParams understands', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'alpha.example' } });
+    const caps = plain(plugin.source.getSearchCapabilities());
+    assert.deepEqual(caps.sorts, ['CHRONOLOGICAL', 'Relevance', 'Most viewed', 'Most liked']);
+    assert.deepEqual(caps.filters.map(g => g.id), ['duration', 'date', 'live', 'language', 'category', 'licence', 'nsfw']);
+    assert.deepEqual(caps.filters[0].filters.map(f => f.value), ['short', 'medium', 'long']);
+});
+
+test('search order and filters become search/videos parameters', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'alpha.example' } });
+    const before = Date.now();
+    plugin.source.search('talk', 'MIXED', 'Most viewed', {
+        duration: ['medium'], date: ['week'], live: ['live'], language: ['en', 'fr'], category: ['15'], licence: ['1', '7']
+    });
+    const params = plugin.requests.map(r => new URL(r.url)).find(u => u.pathname === '/api/v1/search/videos').searchParams;
+    assert.equal(params.get('search'), 'talk');
+    assert.equal(params.get('sort'), '-views');
+    assert.equal(params.get('durationMin'), '240');
+    assert.equal(params.get('durationMax'), '1200');
+    assert.equal(params.get('isLive'), 'true');
+    assert.deepEqual(params.getAll('languageOneOf'), ['en', 'fr']);
+    assert.deepEqual(params.getAll('categoryOneOf'), ['15']);
+    assert.deepEqual(params.getAll('licenceOneOf'), ['1', '7']);
+    const weekAgo = before - 7 * 24 * 60 * 60 * 1000;
+    assert.ok(Math.abs(Date.parse(params.get('startDate')) - weekAgo) < 60 * 1000);
+});
+
+test('chronological order sorts by publication date and no filters add no parameters', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'alpha.example' } });
+    plugin.source.search('talk', 'MIXED', 'CHRONOLOGICAL', {});
+    const params = plugin.requests.map(r => new URL(r.url)).find(u => u.pathname === '/api/v1/search/videos').searchParams;
+    assert.deepEqual([...params.keys()].filter(k => !['search', 'sort', 'start', 'count', 'nsfw'].includes(k)), []);
+    assert.equal(params.get('sort'), '-publishedAt');
+});
+
+function searchHosts(plugin) {
+    return plugin.requestedPaths().filter(p => p.endsWith('/api/v1/search/videos')).map(p => p.split('/')[0]);
+}
+
+test('index-only search asks just the search index and links results to their origin', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'alpha.example,beta.example', searchIndexUrl: 'index.example', searchIndexMode: '1' } });
+    const results = plain(plugin.source.search('talk').results.map(v => [v.name, v.url]));
+    assert.deepEqual(results, [
+        ['Lecture 1', 'https://alpha.example/w/a1111111-0000-4000-8000-000000000001'],
+        ['Far away talk', 'https://remote.example/w/f6666666-0000-4000-8000-000000000001']
+    ]);
+    assert.deepEqual(searchHosts(plugin), ['index.example']);
+});
+
+test('searching the index and the instances shows each video once', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'alpha.example', searchIndexUrl: 'index.example', searchIndexMode: '2' } });
+    const names = plain(plugin.source.search('talk').results.map(v => v.name));
+    assert.equal(names.filter(n => n === 'Lecture 1').length, 1);
+    assert.ok(names.includes('Far away talk'));
+    assert.deepEqual(searchHosts(plugin).sort(), ['alpha.example', 'index.example']);
+});
+
+test('index-only search falls back to the instances while the index is backing off', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'alpha.example', searchIndexUrl: 'down.example', searchIndexMode: '1' } });
+    plugin.source.search('talk');
+    plugin.requests.length = 0;
+    const names = plain(plugin.source.search('talk').results.map(v => v.name));
+    assert.ok(names.includes('Lecture 1'));
+    assert.deepEqual(searchHosts(plugin), ['alpha.example']);
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPlugin, plain } = require('./harness');
+
+test('parseSettings normalizes and dedupes the instance list', () => {
+    const { context } = loadPlugin({ enable: false });
+    const parsed = plain(context.parseSettings({ instancesList: ' alpha.example/ , https://beta.example,alpha.example,not a url' }));
+    assert.deepEqual(parsed.instancesList, ['https://alpha.example', 'https://beta.example']);
+});
+
+test('parseSettings falls back to the default instance and defaults', () => {
+    const { context } = loadPlugin({ enable: false });
+    const parsed = plain(context.parseSettings({}));
+    assert.deepEqual(parsed.instancesList, ['https://peertube.futo.org']);
+    assert.equal(parsed.randomizeInstances, false);
+    assert.equal(parsed.maxPerChannel, 2);
+    assert.equal(parsed.seenMax, 500);
+    assert.equal(parsed.submitActivity, true);
+    assert.equal(parsed.nsfwPolicy, 0);
+    assert.deepEqual(parsed.preferredLanguages, []);
+});
+
+test('parseSettings reads string-typed values the way the app stores them', () => {
+    const { context } = loadPlugin({ enable: false });
+    const parsed = plain(context.parseSettings({
+        instancesList: 'alpha.example',
+        randomizeInstances: 'true',
+        instanceSampleSize: '0',
+        maxPerChannel: { value: '4' },
+        preferredLanguages: 'EN, fr,en',
+        homeFeedMode: '99',
+        feedRankWeights: '2,x,-1',
+        blockedInstances: 'https://Bad.Example/path, worse.example',
+        mutedChannels: '@Spam@spam.example, https://alpha.example/c/noise'
+    }));
+    assert.equal(parsed.randomizeInstances, true);
+    assert.equal(parsed.instanceSampleSize, 1);
+    assert.equal(parsed.maxPerChannel, 4);
+    assert.deepEqual(parsed.preferredLanguages, ['en', 'fr']);
+    assert.equal(parsed.homeFeedMode, 5);
+    assert.deepEqual(parsed.feedRankWeights, { recency: 2, views: 0.3, likes: 0.3 });
+    assert.deepEqual(parsed.blockedInstances, ['bad.example', 'worse.example']);
+    assert.deepEqual(parsed.mutedChannels, ['spam@spam.example', 'noise@alpha.example']);
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { loadPlugin, plain, SCRIPT_PATH } = require('./harness');
+
+const SETTINGS = { instancesList: 'alpha.example,beta.example' };
+
+test('saveState round-trips through enable', () => {
+    const first = loadPlugin({ settings: SETTINGS });
+    first.source.getHome();
+    const saved = first.source.saveState();
+
+    const second = loadPlugin({ settings: SETTINGS, saveState: saved });
+    assert.deepEqual(JSON.parse(second.source.saveState()), JSON.parse(saved));
+});
+
+test('videos shown before a restart are not shown again', () => {
+    const first = loadPlugin({ settings: SETTINGS });
+    const shown = plain(first.source.getHome().results.map(v => v.id.value));
+    const second = loadPlugin({ settings: SETTINGS, saveState: first.source.saveState() });
+    const again = plain(second.source.getHome().results.map(v => v.id.value));
+    assert.deepEqual(again.filter(id => shown.includes(id)), []);
+});
+
+test('enable migrates the legacy seenIds and unhealthyHosts state', () => {
+    const legacy = JSON.stringify({
+        seenIds: ['a1111111-0000-4000-8000-000000000001'],
+        unhealthyHosts: { 'https://beta.example': Date.now() + 60000, 'https://gone.example': Date.now() - 1000 }
+    });
+    const plugin = loadPlugin({ settings: SETTINGS, saveState: legacy });
+    const saved = JSON.parse(plugin.source.saveState());
+    assert.ok(saved.hostHealth['https://beta.example'].bannedUntil > Date.now());
+    assert.equal(saved.hostHealth['https://gone.example'], undefined);
+    const names = plain(plugin.source.getHome().results.map(v => v.name));
+    assert.ok(!names.includes('Lecture 1'));
+    assert.ok(!names.includes('Beta news'));
+});
+
+test('enable tolerates a corrupt saved state', () => {
+    const plugin = loadPlugin({ settings: SETTINGS, saveState: '{not json' });
+    assert.ok(plugin.logs.some(l => l.includes('saveState parse failed')));
+    assert.ok(plugin.source.getHome().results.length > 0);
+});
+
+test('script.js declares each top-level function once', () => {
+    const names = fs.readFileSync(SCRIPT_PATH, 'utf8').match(/^(?:async )?function \w+/gm).map(d => d.split(' ').pop());
+    assert.deepEqual(names.filter((n, i) => names.indexOf(n) !== i), []);
+});
+
+test('a seenMax of 0 keeps the default memory size', () => {
+    const plugin = loadPlugin({ settings: Object.assign({ seenMax: '0' }, SETTINGS) });
+    const shown = plain(plugin.source.getHome().results.map(v => v.id.value));
+    assert.ok(shown.length > 0);
+    assert.equal(JSON.parse(plugin.source.saveState()).seen.length, shown.length);
+});
+
+test('no playback tracker is handed out while Report Views is off', () => {
+    const url = 'https://alpha.example/w/a1111111-0000-4000-8000-000000000001';
+    assert.equal(loadPlugin({ settings: Object.assign({ submitActivity: 'false' }, SETTINGS) }).source.getPlaybackTracker(url), null);
+    assert.ok(loadPlugin({ settings: SETTINGS }).source.getPlaybackTracker(url));
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPlugin, plain } = require('./harness');
+
+const SETTINGS = { instancesList: 'alpha.example,beta.example' };
+
+test('subscriptions are kept in saveState across restarts', () => {
+    const first = loadPlugin({ settings: SETTINGS });
+    assert.equal(first.source.subscribeLocalChannel('https://alpha.example/c/lectures'), true);
+    assert.equal(first.source.subscribeLocalChannel('news@beta.example'), true);
+    assert.equal(first.source.subscribeLocalChannel('https://beta.example/video-channels/news'), false);
+    assert.equal(first.source.unsubscribeLocalChannel('https://beta.example/c/news'), true);
+
+    const second = loadPlugin({ settings: SETTINGS, saveState: first.source.saveState() });
+    assert.deepEqual(plain(second.source.getLocalSubscriptions()), ['https://alpha.example/c/lectures']);
+    assert.deepEqual(plain(second.source.getUserSubscriptions()), ['https://alpha.example/c/lectures']);
+});
+
+test('the import setting is merged once and only its fingerprint is saved', () => {
+    const opml = '<opml><body><outline text="Lectures" htmlUrl="https://alpha.example/c/lectures"/></body></opml>';
+    const settings = Object.assign({ subscriptionsImport: opml }, SETTINGS);
+    const first = loadPlugin({ settings: settings });
+    assert.deepEqual(plain(first.source.getLocalSubscriptions()), ['https://alpha.example/c/lectures']);
+    first.source.unsubscribeLocalChannel('https://alpha.example/c/lectures');
+    const saved = first.source.saveState();
+    assert.doesNotMatch(saved, /opml|outline/);
+
+    const second = loadPlugin({ settings: settings, saveState: saved });
+    assert.deepEqual(plain(second.source.getLocalSubscriptions()), []);
+});
+
+test('an import key saved as the pasted text is not merged again', () => {
+    const settings = Object.assign({ subscriptionsImport: 'lectures@alpha.example' }, SETTINGS);
+    const legacy = JSON.stringify({ subscriptions: [], subscriptionsImportKey: 'lectures@alpha.example' });
+    const plugin = loadPlugin({ settings: settings, saveState: legacy });
+    assert.deepEqual(plain(plugin.source.getLocalSubscriptions()), []);
+    assert.doesNotMatch(plugin.source.saveState(), /lectures/);
+});
+
+test('exports round-trip through import in OPML and NewPipe JSON', () => {
+    const first = loadPlugin({ settings: SETTINGS });
+    first.source.subscribeLocalChannel('https://alpha.example/c/lectures');
+    first.source.subscribeLocalChannel('news@beta.example');
+    const opml = first.source.exportSubscriptions('opml');
+    assert.match(opml, /xmlUrl="https:\/\/alpha\.example\/feeds\/videos\.xml\?videoChannelName=lectures"/);
+    const json = JSON.parse(first.source.exportSubscriptions('json'));
+    assert.deepEqual(json.subscriptions.map(s => [s.service_id, s.url]), [
+        [3, 'https://alpha.example/video-channels/lectures'],
+        [3, 'https://beta.example/video-channels/news']
+    ]);
+    for (const exported of [opml, JSON.stringify(json)]) {
+        const second = loadPlugin({ settings: SETTINGS });
+        assert.equal(second.source.importSubscriptions(exported), 2);
+        assert.deepEqual(plain(second.source.getLocalSubscriptions()), ['https://alpha.example/c/lectures', 'https://beta.example/c/news']);
+    }
+});
+
+test('the local subscriptions feed pages each channel on its own host', () => {
+    const plugin = loadPlugin({ settings: Object.assign({ homeLocalSubscriptions: 'true' }, SETTINGS) });
+    plugin.source.subscribeLocalChannel('https://alpha.example/c/lectures');
+    const names = plain(plugin.source.getHome().results.map(v => v.name));
+    assert.ok(names.includes('Lecture 1'));
+    assert.ok(plugin.requestedPaths().includes('alpha.example/api/v1/video-channels/lectures/videos'));
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPlugin } = require('./harness');
+
+const SETTINGS = { instancesList: 'alpha.example,beta.example' };
+
+test('URLs on configured instances are claimed without any request', () => {
+    const plugin = loadPlugin({ settings: SETTINGS });
+    assert.equal(plugin.source.isContentDetailsUrl('https://alpha.example/w/a1111111Short'), true);
+    assert.equal(plugin.source.isChannelUrl('https://beta.example/c/news'), true);
+    assert.equal(plugin.source.isPlaylistUrl('https://alpha.example/w/p/a1111111Short'), true);
+    assert.equal(plugin.source.isChannelUrl('https://alpha.example/about'), false);
+    assert.deepEqual(plugin.requests, []);
+});
+
+test('the start timestamp of the opened URL is kept on the details URL', () => {
+    const plugin = loadPlugin({ settings: SETTINGS });
+    const base = 'https://alpha.example/w/a1111111-0000-4000-8000-000000000001';
+    assert.equal(plugin.source.getContentDetails(`${base}?start=1m30s`).url, `${base}?start=90`);
+    assert.equal(plugin.source.getContentDetails(`${base}?t=75`).shareUrl, `${base}?start=75`);
+    assert.equal(plugin.source.getContentDetails(`${base}/`).url, base);
+});
+
+test('a host that is not PeerTube is probed once and kept out of the health records', () => {
+    const plugin = loadPlugin({ settings: SETTINGS });
+    for (let i = 0; i < 3; i++) {
+        plugin.source.isChannelUrl('https://website.example/c/foo');
+        plugin.source.isContentDetailsUrl('https://website.example/w/abc123');
+    }
+    assert.deepEqual(plugin.requestedPaths().filter(p => p.startsWith('website.example')), ['website.example/api/v1/config']);
+    assert.equal(JSON.parse(plugin.source.saveState()).hostHealth['https://website.example'], undefined);
+});
+
+test('an unknown PeerTube host is verified once and remembered', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'alpha.example' } });
+    assert.equal(plugin.source.isChannelUrl('https://beta.example/c/news'), true);
+    assert.equal(plugin.source.isPlaylistUrl('https://beta.example/w/p/xyz'), true);
+    assert.deepEqual(plugin.requestedPaths(), ['beta.example/api/v1/config']);
+    assert.ok(JSON.parse(plugin.source.saveState()).knownInstances['https://beta.example']);
+});
+
+test('URL checks never ask our instances about foreign links', () => {
+    const plugin = loadPlugin({ settings: SETTINGS });
+    assert.equal(plugin.source.isChannelUrl('https://website.example/c/foo'), false);
+    assert.equal(plugin.source.isContentDetailsUrl('https://website.example/w/abc123'), false);
+    assert.equal(plugin.source.isPlaylistUrl('https://website.example/w/p/abc123'), false);
+    assert.equal(plugin.source.getContentDetails('https://website.example/w/abc123'), null);
+    assert.deepEqual(plugin.requestedPaths(), ['website.example/api/v1/config', 'website.example/api/v1/videos/abc123']);
+});
+
+test('links to an unreachable host are claimed only when a mirror resolves them', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'alpha.example' } });
+    const url = 'https://nowhere.example/w/a1111111-0000-4000-8000-000000000001';
+    assert.equal(plugin.source.isContentDetailsUrl(url), true);
+    assert.deepEqual(plugin.requestedPaths(), ['nowhere.example/api/v1/config', 'alpha.example/api/v1/config', 'alpha.example/api/v1/search/videos']);
+    assert.equal(plugin.source.getContentDetails(url).name, 'Lecture 1');
+});
+
+test('links to an unreachable host that no mirror knows are left to other sources', () => {
+    const plugin = loadPlugin({ settings: SETTINGS });
+    assert.equal(plugin.source.isContentDetailsUrl('https://down.example/w/pricing'), false);
+    assert.equal(plugin.source.isChannelUrl('https://nowhere.example/c/general'), false);
+});
+
+test('a mirror without anonymous remote lookups still serves a video it already holds', () => {
+    const plugin = loadPlugin({ settings: { instancesList: 'beta.example' } });
+    const url = 'https://down.example/w/c3333333-0000-4000-8000-000000000001';
+    assert.equal(plugin.source.isContentDetailsUrl(url), true);
+    const details = plugin.source.getContentDetails(url);
+    assert.equal(details.name, 'Shared talk');
+    assert.match(details.description, /^Originally published on down\.example/);
+});